@@ -0,0 +1,82 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Cancellation handle that can be passed to EntityDatabase operations. When
+ * cancel() is invoked, the underlying HTTP requests are aborted, and the
+ * operation's promise is rejected with an Error whose code is 'ABORTED'.
+ * 
+ * <code>
+ * var cancellation = new Cancellation();
+ * db.getEntity(id, { cancellation : cancellation });
+ * ...
+ * cancellation.cancel('no longer needed');
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var Cancellation = function Cancellation() {
+		this.cancelled = false;
+		this.reason = undefined;
+		this.listeners = [];
+	};
+
+	/**
+	 * 
+	 * @param reason
+	 *            OPTIONAL
+	 */
+	Cancellation.prototype.cancel = function(reason) {
+		if (this.cancelled) {
+			return;
+		}
+		this.cancelled = true;
+		this.reason = reason;
+
+		var listeners = this.listeners;
+		this.listeners = [];
+		listeners.forEach(function(listener) {
+			listener(reason);
+		});
+	};
+
+	/**
+	 * 
+	 * @param listener
+	 *            invoked with the cancel reason when cancel() is invoked - if
+	 *            already cancelled, then the listener is invoked immediately
+	 * @return Function that unregisters the listener
+	 */
+	Cancellation.prototype.onCancel = function(listener) {
+		var self = this;
+		if (this.cancelled) {
+			listener(this.reason);
+			return function() {
+				return undefined;
+			};
+		}
+
+		this.listeners.push(listener);
+		return function() {
+			self.listeners = self.listeners.filter(function(registeredListener) {
+				return registeredListener !== listener;
+			});
+		};
+	};
+
+	module.exports = Cancellation;
+}());
@@ -0,0 +1,220 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Circuit breaker that tracks the error rate over a rolling window.
+ *
+ * <code>
+ * CLOSED		requests are allowed. If the error rate within the rolling window reaches the errorThreshold, then the circuit is opened.
+ * OPEN			requests fail fast. After resetTimeout has elapsed, the circuit becomes HALF_OPEN.
+ * HALF_OPEN	up to halfOpenRequests probe requests are allowed. If a probe succeeds, then the circuit is closed. If a probe fails, then the circuit is opened again.
+ * </code>
+ *
+ * <code>
+ * options = {
+ *   errorThreshold : 0.5,					// OPTIONAL - Default is 0.5 - error rate, between 0 and 1, that opens the circuit
+ *   volumeThreshold : 20,					// OPTIONAL - Default is 20 - minimum number of requests within the rolling window before the circuit can be opened
+ *   windowSize : 10000,					// OPTIONAL - Default is 10000 msec - rolling window used to compute the error rate
+ *   resetTimeout : 30000,					// OPTIONAL - Default is 30000 msec - how long the circuit stays open before probe requests are allowed
+ *   halfOpenRequests : 1					// OPTIONAL - Default is 1 - number of concurrent probe requests allowed while half open
+ * }
+ * </code>
+ *
+ * Events:
+ *
+ * <code>
+ * 'stateChange'	- { state : 'OPEN', previousState : 'CLOSED' }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var events = require('events');
+	var util = require('util');
+	var lodash = require('lodash');
+	var joi = require('joi');
+
+	var CLOSED = 'CLOSED';
+	var OPEN = 'OPEN';
+	var HALF_OPEN = 'HALF_OPEN';
+
+	/**
+	 * the rolling window is divided into buckets
+	 */
+	var BUCKET_COUNT = 10;
+
+	var schema = {
+		errorThreshold : joi.types.Number(),
+		volumeThreshold : joi.types.Number().integer().min(1),
+		windowSize : joi.types.Number().integer().min(BUCKET_COUNT),
+		resetTimeout : joi.types.Number().integer().min(0),
+		halfOpenRequests : joi.types.Number().integer().min(1)
+	};
+
+	var CircuitBreaker = function CircuitBreaker(options) {
+		options = options || {};
+		var err = joi.validate(options, schema);
+		if (err) {
+			throw err;
+		}
+		if (!lodash.isUndefined(options.errorThreshold) && (options.errorThreshold <= 0 || options.errorThreshold > 1)) {
+			throw new Error('errorThreshold must be greater than 0 and less than or equal to 1');
+		}
+
+		events.EventEmitter.call(this);
+
+		this.errorThreshold = options.errorThreshold || 0.5;
+		this.volumeThreshold = options.volumeThreshold || 20;
+		this.windowSize = options.windowSize || 10000;
+		this.resetTimeout = lodash.isNumber(options.resetTimeout) ? options.resetTimeout : 30000;
+		this.halfOpenRequests = options.halfOpenRequests || 1;
+
+		this.bucketSize = Math.floor(this.windowSize / BUCKET_COUNT);
+		this.state = CLOSED;
+		this.openedOn = 0;
+		this.probesInFlight = 0;
+		this.resetBuckets();
+	};
+
+	util.inherits(CircuitBreaker, events.EventEmitter);
+
+	CircuitBreaker.CLOSED = CLOSED;
+	CircuitBreaker.OPEN = OPEN;
+	CircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+	CircuitBreaker.prototype.resetBuckets = function() {
+		this.buckets = [];
+	};
+
+	CircuitBreaker.prototype.currentBucket = function() {
+		var now = Date.now();
+		var bucketStart = now - (now % this.bucketSize);
+		var windowStart = now - this.windowSize;
+
+		this.buckets = this.buckets.filter(function(bucket) {
+			return bucket.start > windowStart;
+		});
+
+		var bucket = lodash.last(this.buckets);
+		if (!bucket || bucket.start !== bucketStart) {
+			bucket = {
+				start : bucketStart,
+				requests : 0,
+				errors : 0
+			};
+			this.buckets.push(bucket);
+		}
+		return bucket;
+	};
+
+	/**
+	 *
+	 * @return the request and error counts within the rolling window
+	 */
+	CircuitBreaker.prototype.counts = function() {
+		this.currentBucket();
+		return lodash.reduce(this.buckets, function(counts, bucket) {
+			counts.requests += bucket.requests;
+			counts.errors += bucket.errors;
+			return counts;
+		}, {
+			requests : 0,
+			errors : 0
+		});
+	};
+
+	CircuitBreaker.prototype.transition = function(state) {
+		var previousState = this.state;
+		if (previousState === state) {
+			return;
+		}
+
+		this.state = state;
+		this.probesInFlight = 0;
+		if (state === OPEN) {
+			this.openedOn = Date.now();
+		}
+		if (state === CLOSED) {
+			this.resetBuckets();
+		}
+		this.emit('stateChange', {
+			state : state,
+			previousState : previousState
+		});
+	};
+
+	/**
+	 *
+	 * @return true if the request is allowed. If true is returned, then either
+	 *         onSuccess(), onFailure(), or onAbort() must be called when the
+	 *         request completes.
+	 */
+	CircuitBreaker.prototype.allowRequest = function() {
+		if (this.state === OPEN) {
+			if (Date.now() - this.openedOn < this.resetTimeout) {
+				return false;
+			}
+			this.transition(HALF_OPEN);
+		}
+
+		if (this.state === HALF_OPEN) {
+			if (this.probesInFlight >= this.halfOpenRequests) {
+				return false;
+			}
+			this.probesInFlight++;
+		}
+
+		return true;
+	};
+
+	CircuitBreaker.prototype.onSuccess = function() {
+		if (this.state === HALF_OPEN) {
+			this.transition(CLOSED);
+			return;
+		}
+		this.currentBucket().requests++;
+	};
+
+	/**
+	 * Invoked when an allowed request was aborted before it completed, i.e.,
+	 * the outcome is unknown.
+	 */
+	CircuitBreaker.prototype.onAbort = function() {
+		if (this.state === HALF_OPEN && this.probesInFlight > 0) {
+			this.probesInFlight--;
+		}
+	};
+
+	CircuitBreaker.prototype.onFailure = function() {
+		if (this.state === HALF_OPEN) {
+			this.transition(OPEN);
+			return;
+		}
+
+		var bucket = this.currentBucket();
+		bucket.requests++;
+		bucket.errors++;
+
+		if (this.state === CLOSED) {
+			var counts = this.counts();
+			if (counts.requests >= this.volumeThreshold && (counts.errors / counts.requests) >= this.errorThreshold) {
+				this.transition(OPEN);
+			}
+		}
+	};
+
+	module.exports = CircuitBreaker;
+}());
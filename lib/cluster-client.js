@@ -0,0 +1,486 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * elastic.js client that spreads requests across the nodes of a cluster using
+ * round-robin. If a request fails because the node could not be reached, then
+ * the node is marked dead and the request is retried on the next node. Dead
+ * nodes are put back into rotation after the deadTimeout has elapsed. Requests
+ * that are not idempotent only fail over if the error guarantees that the
+ * request never reached the node - see RetryPolicy.
+ *
+ * Requests that fail with a transient error are retried with exponential
+ * backoff according to the retry policy - see RetryPolicy for details.
+ *
+ * It implements the same interface as the elastic.js NodeClient, i.e., get(),
+ * post(), put(), del(), head() - see NodeConnection
+ *
+ * Events:
+ *
+ * <code>
+ * 'request'	- emitted once per completed request, i.e., after all retries : 
+ * 				{
+ * 				  operation	- operation name, e.g., 'createEntity' - see withRequestOptions()
+ * 				  index		- elasticsearch index
+ * 				  type		- elasticsearch type
+ * 				  method	- HTTP method
+ * 				  path		- HTTP path
+ * 				  duration	- msec
+ * 				  status	- HTTP status code - undefined if no response was received
+ * 				  attempts	- number of attempts
+ * 				  error		- Error - only set if the request failed
+ * 				}
+ * 'circuitBreakerStateChange'	- emitted when the circuit breaker changes state : { state : 'OPEN', previousState : 'CLOSED' }
+ * </code>
+ *
+ * <code>
+ * options = {
+ *   nodes : [ {							// REQUIRED
+ *     host : 'localhost',					// REQUIRED
+ *     port : 9200							// REQUIRED
+ *   } ],
+ *   deadTimeout : 60000,					// OPTIONAL - Default is 60000 msec - how long a failed node is left out of rotation
+ *   connection : {},						// OPTIONAL - NodeConnection options that apply to all nodes, e.g., protocol, auth, headers
+ *   retry : {},							// OPTIONAL - RetryPolicy options
+ *   circuitBreaker : {},					// OPTIONAL - CircuitBreaker options - if not set, then no circuit breaker is used
+ *   logLevel : 'WARN'						// OPTIONAL - Default is 'WARN'
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var events = require('events');
+	var util = require('util');
+	var logging = require('runrightfast-commons').logging;
+	var log = logging.getLogger('cluster-client');
+	var lodash = require('lodash');
+	var joi = require('joi');
+	var extend = require('extend');
+	var when = require('when');
+
+	var NodeConnection = require('./node-connection');
+	var RetryPolicy = require('./retry-policy');
+	var CircuitBreaker = require('./circuit-breaker');
+
+	var schema = {
+		nodes : joi.types.Array().required().includes(joi.types.Object({
+			host : joi.types.String().required(),
+			port : joi.types.Number().min(0).required()
+		})),
+		deadTimeout : joi.types.Number().min(0),
+		connection : joi.types.Object().allowOtherKeys(),
+		retry : joi.types.Object().allowOtherKeys(),
+		circuitBreaker : joi.types.Object().allowOtherKeys(),
+		logLevel : joi.types.String()
+	};
+
+	var ClusterClient = function ClusterClient(options) {
+		var err = joi.validate(options, schema);
+		if (err) {
+			throw err;
+		}
+		if (options.nodes.length === 0) {
+			throw new Error('at least 1 node is required');
+		}
+
+		events.EventEmitter.call(this);
+		logging.setLogLevel(log, options.logLevel || 'WARN');
+
+		this.deadTimeout = lodash.isNumber(options.deadTimeout) ? options.deadTimeout : 60000;
+		this.nodes = options.nodes.map(function(node) {
+			return {
+				host : node.host,
+				port : node.port,
+				client : new NodeConnection(extend({}, options.connection, node)),
+				deadUntil : 0
+			};
+		});
+		this.nextNodeIndex = 0;
+		this.retryPolicy = new RetryPolicy(options.retry);
+		this.requestOptions = undefined;
+		this.closed = false;
+
+		if (options.circuitBreaker) {
+			var self = this;
+			this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+			this.circuitBreaker.on('stateChange', function(event) {
+				log.warn('circuit breaker state changed : ' + event.previousState + ' -> ' + event.state);
+				self.emit('circuitBreakerStateChange', event);
+			});
+		}
+	};
+
+	util.inherits(ClusterClient, events.EventEmitter);
+
+	var httpMethods = NodeConnection.httpMethods;
+
+	/**
+	 * Derives the request's operation name, index and type from the path, for
+	 * requests that were not made through withRequestOptions().
+	 * 
+	 * e.g., POST /index/type/_search -> { operation : 'POST _search', index :
+	 * 'index', type : 'type' }
+	 */
+	var describeRequest = function describeRequest(method, path) {
+		var segments = lodash.compact(path.split('?')[0].split('/'));
+		var isApi = function(segment) {
+			return segment.charAt(0) === '_';
+		};
+		var api = lodash.find(segments, isApi);
+		var description = {
+			operation : httpMethods[method] + (api ? ' ' + api : '')
+		};
+		if (segments.length > 0 && !isApi(segments[0])) {
+			description.index = segments[0];
+			if (segments.length > 1 && !isApi(segments[1])) {
+				description.type = segments[1];
+			}
+		}
+		return description;
+	};
+
+	/**
+	 * Requests that are made while fn is invoked are tagged with the request
+	 * options. elastic.js sends requests synchronously, e.g.,
+	 * 
+	 * <code>
+	 * client.withRequestOptions({operation:'getEntity'},function(){
+	 *    doc.doGet(successcb,errorcb);
+	 * });
+	 * </code>
+	 * 
+	 * @param requestOptions
+	 * 
+	 * <code>
+	 * operation		OPTIONAL - operation name, e.g., 'getEntity'
+	 * index			OPTIONAL
+	 * type				OPTIONAL
+	 * timeout			OPTIONAL - Number - msec - client side timeout for the request, including retries
+	 * cancellation		OPTIONAL - Cancellation - aborts the request when cancelled
+	 * onComplete		OPTIONAL - Function - invoked with the 'request' event when the request completes
+	 * </code>
+	 * @param fn
+	 * @return the value returned by fn
+	 */
+	ClusterClient.prototype.withRequestOptions = function(requestOptions, fn) {
+		var previousRequestOptions = this.requestOptions;
+		this.requestOptions = requestOptions;
+		try {
+			return fn();
+		} finally {
+			this.requestOptions = previousRequestOptions;
+		}
+	};
+
+	/**
+	 *
+	 * @returns Array of nodes in the order in which they should be tried for
+	 *          the next request. Live nodes are returned in round-robin order,
+	 *          followed by the dead nodes, ordered by which will come back
+	 *          soonest. Thus, if all nodes are dead, the request is still
+	 *          attempted.
+	 */
+	ClusterClient.prototype.selectNodes = function() {
+		var now = Date.now();
+		var start = this.nextNodeIndex;
+		var nodes = this.nodes.slice(start).concat(this.nodes.slice(0, start));
+		this.nextNodeIndex = (start + 1) % this.nodes.length;
+
+		var liveNodes = nodes.filter(function(node) {
+			return node.deadUntil <= now;
+		});
+		var deadNodes = lodash.sortBy(nodes.filter(function(node) {
+			return node.deadUntil > now;
+		}), 'deadUntil');
+
+		return liveNodes.concat(deadNodes);
+	};
+
+	ClusterClient.prototype.markDead = function(node, err) {
+		node.deadUntil = Date.now() + this.deadTimeout;
+		log.warn('node is dead : ' + node.host + ':' + node.port + ' : ' + err);
+	};
+
+	ClusterClient.prototype.markAlive = function(node) {
+		if (node.deadUntil > 0) {
+			node.deadUntil = 0;
+			log.info('node is alive : ' + node.host + ':' + node.port);
+		}
+	};
+
+	/**
+	 *
+	 * @returns Array of the nodes that are currently in rotation
+	 */
+	ClusterClient.prototype.liveNodes = function() {
+		var now = Date.now();
+		return this.nodes.filter(function(node) {
+			return node.deadUntil <= now;
+		});
+	};
+
+	/**
+	 * 
+	 * @return true if the failed request can be sent to the next node, i.e.,
+	 *         it never reached the node, or sending it again has the same
+	 *         effect
+	 */
+	ClusterClient.prototype.canFailOver = function(method, path, err) {
+		return RetryPolicy.isConnectError(err) || this.retryPolicy.retryNonIdempotent || RetryPolicy.isIdempotent(method, path);
+	};
+
+	/**
+	 * Sends the request to the next node. If the node cannot be reached, then
+	 * the request fails over to the next node. The errorcb is invoked after all
+	 * nodes have been tried, or as soon as the request cannot fail over - see
+	 * canFailOver(). An invalid response does not mark the node dead, and does
+	 * not fail over.
+	 * 
+	 * @param method
+	 *            NodeClient method name, i.e., 'get', 'post', 'put', 'del',
+	 *            'head'
+	 * @return request handle - { abort : Function } - once aborted, neither the
+	 *         successcb or the errorcb is invoked
+	 */
+	ClusterClient.prototype.send = function(method, path, data, successcb, errorcb) {
+		var self = this;
+		var nodes = this.selectNodes();
+		var attempt = 0;
+		var aborted = false;
+		var pendingRequest;
+
+		var send = function() {
+			var node = nodes[attempt];
+			pendingRequest = node.client[method](path, data, function(result, status) {
+				self.markAlive(node);
+				successcb(result, status);
+			}, function(err) {
+				if (err.code === 'INVALID_RESPONSE') {
+					// a response was received, i.e., the node is alive
+					errorcb(err);
+					return;
+				}
+				self.markDead(node, err);
+				attempt++;
+				if (attempt < nodes.length && self.canFailOver(method, path, err)) {
+					if (log.isDebugEnabled()) {
+						log.debug('failing over to next node : ' + method + ' ' + path);
+					}
+					send();
+				} else {
+					errorcb(err);
+				}
+			});
+		};
+
+		send();
+
+		return {
+			abort : function() {
+				if (!aborted) {
+					aborted = true;
+					pendingRequest.abort();
+				}
+			}
+		};
+	};
+
+	/**
+	 * 
+	 * @return true if the request outcome counts as a failure for the circuit
+	 *         breaker, i.e., no response was received, or the cluster is
+	 *         overloaded or unavailable
+	 */
+	var isFailure = function isFailure(err, result, status) {
+		if (err) {
+			return true;
+		}
+		status = status || (result && result.status);
+		return status === 429 || status >= 500;
+	};
+
+	/**
+	 * Sends the request, retrying transient failures according to the retry
+	 * policy.
+	 * 
+	 * If the circuit breaker is open, then the request fails fast with an
+	 * Error whose code is 'CIRCUIT_OPEN'.
+	 * 
+	 * If the request options specify a timeout, then the request, including
+	 * retries, is aborted when the timeout elapses and fails with an Error
+	 * whose code is 'TIMEOUT'. If the request options specify a cancellation,
+	 * then the request is aborted when cancelled and fails with an Error whose
+	 * code is 'ABORTED'.
+	 * 
+	 * @param method
+	 *            NodeClient method name, i.e., 'get', 'post', 'put', 'del',
+	 *            'head'
+	 */
+	ClusterClient.prototype.request = function(method, path, data, successcb, errorcb) {
+		var self = this;
+		var attempt = 0;
+		var requestOptions = this.requestOptions || {};
+		var start = Date.now();
+
+		var complete = function(err, result, status) {
+			var event = extend(describeRequest(method, path), lodash.pick(requestOptions, 'operation', 'index', 'type'), {
+				method : httpMethods[method],
+				path : path,
+				duration : Date.now() - start,
+				status : status || (result ? result.status : undefined),
+				attempts : attempt
+			});
+			if (err) {
+				event.error = err;
+			} else if (result && result.error) {
+				event.error = new Error(result.error);
+			}
+
+			if (requestOptions.onComplete) {
+				requestOptions.onComplete(event);
+			}
+			self.emit('request', event);
+		};
+
+		if (this.closed) {
+			var closedError = new Error('ClusterClient is closed');
+			closedError.code = 'CLIENT_CLOSED';
+			complete(closedError);
+			if (errorcb) {
+				errorcb(closedError);
+			}
+			return;
+		}
+
+		if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+			var circuitOpenError = new Error('Circuit breaker is open : ' + method + ' ' + path);
+			circuitOpenError.code = 'CIRCUIT_OPEN';
+			complete(circuitOpenError);
+			if (errorcb) {
+				errorcb(circuitOpenError);
+			}
+			return;
+		}
+
+		var pendingRequest, retryTimer, timeoutTimer, unregisterCancelListener;
+		var finished = false;
+		var finish = function(err, result, status, callback) {
+			finished = true;
+			clearTimeout(retryTimer);
+			clearTimeout(timeoutTimer);
+			if (unregisterCancelListener) {
+				unregisterCancelListener();
+			}
+			complete(err, result, status);
+			if (callback) {
+				callback(err || result, status);
+			}
+		};
+
+		var execute;
+		var retryOrElse = function(err, result, status, callback) {
+			if (self.retryPolicy.shouldRetry(attempt, method, path, err, result)) {
+				var delay = self.retryPolicy.delay(attempt);
+				log.warn('retrying request in ' + delay + ' msec : ' + method + ' ' + path + ' : attempt #' + attempt + ' failed : '
+						+ (err || result.error));
+				pendingRequest = undefined;
+				retryTimer = setTimeout(execute, delay);
+			} else {
+				if (self.circuitBreaker) {
+					if (isFailure(err, result, status)) {
+						self.circuitBreaker.onFailure();
+					} else {
+						self.circuitBreaker.onSuccess();
+					}
+				}
+				finish(err, result, status, callback);
+			}
+		};
+
+		/*
+		 * aborts the pending request, and fails the request with an Error
+		 * using the specified error code
+		 */
+		var abort = function(code, message) {
+			if (finished) {
+				return;
+			}
+			if (pendingRequest) {
+				pendingRequest.abort();
+			}
+			if (self.circuitBreaker) {
+				if (code === 'TIMEOUT') {
+					self.circuitBreaker.onFailure();
+				} else {
+					self.circuitBreaker.onAbort();
+				}
+			}
+			var err = new Error(message + ' : ' + method + ' ' + path);
+			err.code = code;
+			finish(err, null, undefined, errorcb);
+		};
+
+		execute = function() {
+			attempt++;
+			pendingRequest = self.send(method, path, data, function(result, status) {
+				retryOrElse(null, result, status, successcb);
+			}, function(err) {
+				retryOrElse(err, null, undefined, errorcb);
+			});
+		};
+
+		if (requestOptions.timeout) {
+			timeoutTimer = setTimeout(function() {
+				abort('TIMEOUT', 'Request timed out after ' + requestOptions.timeout + ' msec');
+			}, requestOptions.timeout);
+		}
+		if (requestOptions.cancellation) {
+			unregisterCancelListener = requestOptions.cancellation.onCancel(function(reason) {
+				abort('ABORTED', 'Request was cancelled' + (reason ? ' (' + reason + ')' : ''));
+			});
+		}
+
+		if (!finished) {
+			execute();
+		}
+	};
+
+	/**
+	 * New requests are rejected with an Error whose code is 'CLIENT_CLOSED'.
+	 * Pending requests are allowed to complete, and then the connection pools
+	 * are destroyed.
+	 * 
+	 * @param drainTimeout
+	 *            OPTIONAL - max time to wait for pending requests to complete -
+	 *            see NodeConnection.close()
+	 * @return Promise
+	 */
+	ClusterClient.prototype.close = function(drainTimeout) {
+		this.closed = true;
+		return when.all(this.nodes.map(function(node) {
+			return node.client.close(drainTimeout);
+		}));
+	};
+
+	[ 'get', 'post', 'put', 'del', 'head' ].forEach(function(method) {
+		ClusterClient.prototype[method] = function(path, data, successcb, errorcb) {
+			this.request(method, path, data, successcb, errorcb);
+		};
+	});
+
+	module.exports = ClusterClient;
+}());
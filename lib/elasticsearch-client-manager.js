@@ -0,0 +1,120 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Registry of named ElasticSearchClient instances. The module exports a
+ * singleton.
+ *
+ * Each client config has the following shape:
+ *
+ * <code>
+ * {
+ *   name : 'primary',						// REQUIRED - unique client name
+ *   ...									// REQUIRED - ElasticSearchClient options, e.g., host/port or nodes
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var logging = require('runrightfast-commons').logging;
+	var log = logging.getLogger('elasticsearch-client-manager');
+	var lodash = require('lodash');
+	var Hoek = require('hoek');
+	var assert = Hoek.assert;
+	var when = require('when');
+
+	var ElasticSearchClient = require('./elasticsearch-client');
+
+	var ElasticSearchClientManager = function ElasticSearchClientManager() {
+		this.clients = {};
+	};
+
+	/**
+	 *
+	 * @param config
+	 *            REQUIRED - ElasticSearchClient options along with the client
+	 *            name
+	 * @return the new ElasticSearchClient
+	 *
+	 * An Error is thrown if a client with the same name is already registered
+	 * or if the config is invalid.
+	 */
+	ElasticSearchClientManager.prototype.registerClient = function(config) {
+		assert(lodash.isObject(config), 'config is required');
+		assert(lodash.isString(config.name) && config.name.length > 0, 'config.name is required');
+		if (this.clients[config.name]) {
+			throw new Error('ElasticSearchClient is already registered : ' + config.name);
+		}
+
+		var client = new ElasticSearchClient(lodash.omit(config, 'name'));
+		this.clients[config.name] = client;
+		log.info('registered ElasticSearchClient : ' + config.name);
+		return client;
+	};
+
+	/**
+	 *
+	 * @param configs
+	 *            REQUIRED - Array of client configs
+	 */
+	ElasticSearchClientManager.prototype.registerClients = function(configs) {
+		assert(lodash.isArray(configs), 'configs is required to be an Array');
+		configs.forEach(this.registerClient, this);
+	};
+
+	/**
+	 *
+	 * @param name
+	 * @return the ElasticSearchClient registered under the specified name, or
+	 *         undefined if none is registered
+	 */
+	ElasticSearchClientManager.prototype.getClient = function(name) {
+		return this.clients[name];
+	};
+
+	ElasticSearchClientManager.prototype.getClientNames = function() {
+		return lodash.keys(this.clients);
+	};
+
+	/**
+	 * Closes the client and removes it from the registry.
+	 *
+	 * @param name
+	 * @return Promise
+	 */
+	ElasticSearchClientManager.prototype.closeClient = function(name) {
+		var client = this.clients[name];
+		if (!client) {
+			return when.resolve();
+		}
+		delete this.clients[name];
+		log.info('closing ElasticSearchClient : ' + name);
+		return client.close();
+	};
+
+	/**
+	 * Closes all registered clients and clears the registry. Meant to be called
+	 * on shutdown.
+	 *
+	 * @return Promise
+	 */
+	ElasticSearchClientManager.prototype.stop = function() {
+		return when.all(this.getClientNames().map(this.closeClient, this));
+	};
+
+	module.exports = new ElasticSearchClientManager();
+}());
@@ -16,30 +16,337 @@
 
 /**
  * <code>
- * host 			REQUIRED 
- * port 			REQUIRED 
+ * host 			MUTUAL - either host/port or nodes is required
+ * port 			MUTUAL - required with host
+ * nodes : [ {		MUTUAL - list of cluster nodes - requests are spread across the nodes using round-robin and fail over to the next node
+ *   host			REQUIRED 
+ *   port			REQUIRED 
+ * } ]
+ * deadTimeout		OPTIONAL - Default is 60000 msec - how long a failed node is left out of rotation
+ * retry : {		OPTIONAL - retry policy for transient failures, i.e., socket errors, 429, 503, EsRejectedExecutionException 
+ *   maxAttempts		OPTIONAL - Default is 3 - total number of attempts, including the first one. Set to 1 to disable retries.
+ *   baseDelay			OPTIONAL - Default is 100 msec - delay before the first retry. The delay is doubled for each subsequent retry.
+ *   maxDelay			OPTIONAL - Default is 5000 msec - upper bound for the delay
+ *   jitter				OPTIONAL - Default is 0.2 - fraction of the delay that is randomized
+ *   retryOnStatus		OPTIONAL - Array of HTTP status codes that are retryable - default is [429, 503]
+ *   retryOnErrors		OPTIONAL - Array of elasticsearch exception types that are retryable - default is ['EsRejectedExecutionException']
+ *   retryOnErrorCodes	OPTIONAL - Array of socket error codes that are retryable, e.g., 'ECONNRESET'
+ *   retryNonIdempotent	OPTIONAL - Default is false - non-idempotent requests, e.g., create, are only retried if the request was never processed
+ * }
+ * protocol			OPTIONAL - 'http' or 'https' - Default is 'http'
+ * auth : {			OPTIONAL - basic auth credentials
+ *   username		REQUIRED
+ *   password		REQUIRED
+ * }
+ * headers			OPTIONAL - Object - extra headers that are sent with every request
+ * ca				OPTIONAL - HTTPS only - trusted certificates in PEM format, e.g., the TLS proxy's CA certificate
+ * cert				OPTIONAL - HTTPS only - client certificate in PEM format
+ * key				OPTIONAL - HTTPS only - client private key in PEM format
+ * passphrase		OPTIONAL - HTTPS only - passphrase for the private key
+ * rejectUnauthorized	OPTIONAL - HTTPS only - Default is true
+ * agent : {		OPTIONAL - HTTP connection pool settings, per node
+ *   keepAlive			OPTIONAL - Default is true - keep sockets around for future requests
+ *   keepAliveMsecs		OPTIONAL - Default is 1000 msec - initial delay for TCP keep-alive packets
+ *   maxSockets			OPTIONAL - Default is unlimited - max number of concurrent sockets
+ *   maxFreeSockets		OPTIONAL - Default is 256 - max number of idle sockets kept open
+ *   idleTimeout		OPTIONAL - Default is 30000 msec - idle sockets are destroyed after this timeout
+ * }
+ * circuitBreaker : {	OPTIONAL - if set, then requests fail fast with error code 'CIRCUIT_OPEN' while the circuit is open
+ *   errorThreshold		OPTIONAL - Default is 0.5 - error rate, between 0 and 1, that opens the circuit
+ *   volumeThreshold	OPTIONAL - Default is 20 - minimum number of requests within the rolling window before the circuit can be opened
+ *   windowSize			OPTIONAL - Default is 10000 msec - rolling window used to compute the error rate
+ *   resetTimeout		OPTIONAL - Default is 30000 msec - how long the circuit stays open before probe requests are let through
+ *   halfOpenRequests	OPTIONAL - Default is 1 - number of concurrent probe requests allowed while half open
+ * }
+ * logLevel			OPTIONAL - Default is 'WARN'
+ * statsSampleSize	OPTIONAL - Default is 1000 - number of latency samples kept per operation for stats()
+ * </code>
+ * 
+ * Events:
+ * 
+ * <code>
+ * 'request'		- emitted once per completed request - see ClusterClient for the event properties
+ * 'circuitBreakerStateChange'	- emitted when the circuit breaker changes state : { state : 'OPEN', previousState : 'CLOSED' }
  * </code>
  */
 (function() {
 	'use strict';
 
+	var events = require('events');
+	var util = require('util');
+	var lodash = require('lodash');
 	var joi = require('joi');
+	var when = require('when');
 
-	var nc = require('elastic.js/elastic-node-client');
+	var ClusterClient = require('./cluster-client');
+	var RequestStats = require('./request-stats');
+
+	/**
+	 * elastic.js keeps its client on the module exports object, which means
+	 * every require('elastic.js') shares the same client. In order to support
+	 * multiple clusters within the same process, each ElasticSearchClient
+	 * loads its own private copy of the elastic.js module.
+	 * 
+	 * The previously cached module (if any) is restored, so that other
+	 * modules that require('elastic.js') are not affected.
+	 */
+	var loadEjs = function loadEjs() {
+		var modulePath = require.resolve('elastic.js');
+		var cachedModule = require.cache[modulePath];
+		delete require.cache[modulePath];
+		try {
+			return require('elastic.js');
+		} finally {
+			if (cachedModule) {
+				require.cache[modulePath] = cachedModule;
+			} else {
+				delete require.cache[modulePath];
+			}
+		}
+	};
 
 	var schema = {
-		host : joi.types.String().required(),
-		port : joi.types.Number().min(0).required()
+		host : joi.types.String(),
+		port : joi.types.Number().min(0),
+		nodes : joi.types.Array().includes(joi.types.Object({
+			host : joi.types.String().required(),
+			port : joi.types.Number().min(0).required()
+		})),
+		deadTimeout : joi.types.Number().min(0),
+		retry : joi.types.Object().allowOtherKeys(),
+		circuitBreaker : joi.types.Object().allowOtherKeys(),
+		protocol : joi.types.String().valid('http', 'https'),
+		auth : joi.types.Object({
+			username : joi.types.String().required(),
+			password : joi.types.String().emptyOk().required()
+		}),
+		headers : joi.types.Object().allowOtherKeys(),
+		ca : joi.types.Any(),
+		cert : joi.types.Any(),
+		key : joi.types.Any(),
+		passphrase : joi.types.String(),
+		rejectUnauthorized : joi.types.Boolean(),
+		agent : joi.types.Object().allowOtherKeys(),
+		logLevel : joi.types.String(),
+		statsSampleSize : joi.types.Number().min(1)
 	};
 
+	var connectionOptions = [ 'protocol', 'auth', 'headers', 'ca', 'cert', 'key', 'passphrase', 'rejectUnauthorized', 'agent' ];
+
 	var ElasticSearchClient = function ElasticSearchClient(options) {
 		var err = joi.validate(options, schema);
 		if (err) {
 			throw err;
 		}
+		if (options.nodes) {
+			if (!lodash.isUndefined(options.host) || !lodash.isUndefined(options.port)) {
+				throw new Error('host/port and nodes are mutually exclusive');
+			}
+		} else if (lodash.isUndefined(options.host) || lodash.isUndefined(options.port)) {
+			throw new Error('either host/port or nodes is required');
+		}
+
+		events.EventEmitter.call(this);
+		var self = this;
+
+		this.requestStats = new RequestStats({
+			sampleSize : options.statsSampleSize
+		});
+
+		this.ejs = loadEjs();
+		this.ejs.client = new ClusterClient({
+			nodes : options.nodes || [ {
+				host : options.host,
+				port : options.port
+			} ],
+			deadTimeout : options.deadTimeout,
+			connection : lodash.pick(options, connectionOptions),
+			retry : options.retry,
+			circuitBreaker : options.circuitBreaker,
+			logLevel : options.logLevel
+		});
+		this.ejs.client.on('request', function(event) {
+			self.requestStats.record(event);
+			self.emit('request', event);
+		});
+		this.ejs.client.on('circuitBreakerStateChange', function(event) {
+			self.emit('circuitBreakerStateChange', event);
+		});
+	};
+
+	util.inherits(ElasticSearchClient, events.EventEmitter);
+
+	/**
+	 * 
+	 * @return request count, error count and latency percentiles per
+	 *         operation - see RequestStats
+	 */
+	ElasticSearchClient.prototype.stats = function() {
+		return this.requestStats.stats();
+	};
 
-		this.ejs = require('elastic.js');
-		this.ejs.client = nc.NodeClient(options.host, options.port);
+	ElasticSearchClient.prototype.resetStats = function() {
+		this.requestStats.reset();
+	};
+
+	var healthStatusLevels = {
+		red : 0,
+		yellow : 1,
+		green : 2
+	};
+
+	var waitForHealthParamsSchema = {
+		status : joi.types.String().valid('red', 'yellow', 'green'),
+		index : joi.types.String(),
+		timeout : joi.types.Number().min(0),
+		interval : joi.types.Number().min(1)
+	};
+
+	/**
+	 * Checks whether the cluster is reachable. The returned promise is always
+	 * resolved.
+	 * 
+	 * @return Promise that returns:
+	 * 
+	 * <code>
+	 * {
+	 *   reachable : true,
+	 *   name : 'node_name',
+	 *   version : '0.90.5'
+	 * }
+	 * </code>
+	 * 
+	 * if the cluster is not reachable, then:
+	 * 
+	 * <code>
+	 * {
+	 *   reachable : false,
+	 *   error : err
+	 * }
+	 * </code>
+	 */
+	ElasticSearchClient.prototype.ping = function() {
+		var self = this;
+		return when.promise(function(resolve) {
+			var unreachable = function(err) {
+				resolve({
+					reachable : false,
+					error : err
+				});
+			};
+
+			self.ejs.client.get('/', {}, function(result) {
+				if (result.error) {
+					unreachable(new Error(result.error));
+					return;
+				}
+				resolve({
+					reachable : true,
+					name : result.name,
+					version : result.version && result.version.number
+				});
+			}, unreachable);
+		});
+	};
+
+	/**
+	 * Polls the cluster health until the target status is reached or the
+	 * timeout has elapsed. Errors are treated as the cluster not being ready
+	 * yet, i.e., it keeps polling. Each poll is aborted when the timeout
+	 * elapses, i.e., a request that hangs does not delay the HEALTH_TIMEOUT.
+	 * 
+	 * @param params
+	 * 
+	 * <code>
+	 * status			OPTIONAL - 'red', 'yellow', or 'green' - Default is 'yellow'
+	 * index			OPTIONAL - if set, then the health of the index is checked
+	 * timeout			OPTIONAL - Number - Default is 30000 msec
+	 * interval			OPTIONAL - Number - how often to poll the cluster health - Default is 500 msec
+	 * </code>
+	 * 
+	 * @return Promise that returns the elasticsearch cluster health response.
+	 *         If the timeout elapses, then an Error is returned with code
+	 *         'HEALTH_TIMEOUT', and the last health response (if any) is set as
+	 *         the info property. If the client is closed, then the
+	 *         'CLIENT_CLOSED' Error is returned.
+	 */
+	ElasticSearchClient.prototype.waitForHealth = function(params) {
+		var self = this;
+		params = params || {};
+		return when.promise(function(resolve, reject) {
+			var err = joi.validate(params, waitForHealthParamsSchema);
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			var status = params.status || 'yellow';
+			var timeout = lodash.isNumber(params.timeout) ? params.timeout : 30000;
+			var interval = params.interval || 500;
+			var path = '/_cluster/health' + (params.index ? '/' + params.index : '');
+			var deadline = Date.now() + timeout;
+			var lastHealth, lastError;
+
+			var checkHealth;
+			var retryOrTimeout = function() {
+				if (Date.now() + interval > deadline) {
+					var timeoutError = new Error('Cluster health did not reach \'' + status + '\' within ' + timeout + ' msec');
+					timeoutError.code = 'HEALTH_TIMEOUT';
+					timeoutError.info = lastHealth;
+					timeoutError.cause = lastError;
+					reject(timeoutError);
+				} else {
+					setTimeout(checkHealth, interval);
+				}
+			};
+
+			checkHealth = function() {
+				self.ejs.client.withRequestOptions({
+					operation : 'waitForHealth',
+					timeout : Math.max(deadline - Date.now(), 1)
+				}, function() {
+					self.ejs.client.get(path, {}, function(result) {
+						if (result.error) {
+							lastError = new Error(result.error);
+						} else {
+							lastHealth = result;
+							if (healthStatusLevels[result.status] >= healthStatusLevels[status]) {
+								resolve(result);
+								return;
+							}
+						}
+						retryOrTimeout();
+					}, function(error) {
+						if (error.code === 'CLIENT_CLOSED') {
+							reject(error);
+							return;
+						}
+						lastError = error;
+						retryOrTimeout();
+					});
+				});
+			};
+
+			checkHealth();
+		});
+	};
+
+	/**
+	 * Closes the client. New requests are rejected, pending requests are
+	 * allowed to complete, and then the connection pools are destroyed. Once
+	 * closed, any further requests made through the client's ejs will fail
+	 * with an Error whose code is 'CLIENT_CLOSED'.
+	 * 
+	 * @param drainTimeout
+	 *            OPTIONAL - Default is 10000 msec - max time to wait for
+	 *            pending requests to complete
+	 * @return Promise
+	 */
+	ElasticSearchClient.prototype.close = function(drainTimeout) {
+		if (!this.closing) {
+			this.closing = this.ejs.client.close(drainTimeout);
+		}
+		return this.closing;
 	};
 
 	module.exports = ElasticSearchClient;
@@ -17,83 +17,1535 @@
 /**
  * <code>
  * options = { 
- * 	 ejs: ejs,								// REQUIRED - elastic.js - ejs
+ * 	 ejs: ejs,								// MUTUAL - elastic.js - ejs - either 'ejs' or 'elasticSearchClient' is required
+ *   elasticSearchClient : 'client_name',	// MUTUAL - name of the ElasticSearchClient registered with the ElasticSearchClientManager
  *   logLevel : 'WARN',						// OPTIONAL - Default is 'WARN',
  *   entityConstructor,						// REQUIRED - Entity constructor,
  *   index: 'index_name'					// REQUIRED - Index name - where the entity will be stored,
  *   type: 'document_type'					// REQUIRED - Type within the Index
+ *   statsSampleSize : 1000,				// OPTIONAL - Default is 1000 - number of latency samples kept per operation for stats()
+ *   writeBuffer : {						// OPTIONAL - enables the write buffer - see below
+ *     maxSize : 100,						// OPTIONAL - Default is 100 - max number of writes per bulk request
+ *     interval : 1000						// OPTIONAL - Default is 1000 msec - max time a write is buffered
+ *   },
+ *   softDelete : false,					// OPTIONAL - Default is false - enables soft delete mode - see below
+ *   history : {							// OPTIONAL - enables history mode - see below
+ *     index : 'index_name',				// OPTIONAL - Default is the EntityDatabase's index
+ *     type : 'history_type'				// OPTIONAL - Default is the EntityDatabase's type + '_history'
+ *   }
  * }
  * </code>
+ * 
+ * If the write buffer is enabled, then createEntity(), setEntity(),
+ * updateEntity(), and deleteEntity() calls are queued, and sent together as a
+ * single bulk request. Each call's promise still resolves with its own result.
+ * Writes that refresh the index or specify request options are sent
+ * immediately. Use flush() to send the queued writes, e.g., on shutdown.
+ * 
+ * In soft delete mode, deleteEntity() and deleteEntities() do not remove the
+ * entities. Instead, they set the entities' deletedOn, and deletedBy if
+ * specified. getEntity(), getEntities(), findAll(), findByField(), and
+ * getCount() exclude soft deleted entities, unless the includeDeleted option
+ * is set. updateByField() does not update soft deleted entities, unless the
+ * includeDeleted option is set. Soft deleted entities can be restored using
+ * restoreEntity(). Their ids are still taken, i.e., entityExists() and
+ * existsMany() report them as existing. deleteByField(), deleteByQuery(), and
+ * bulk delete operations soft delete the entities as well.
+ * 
+ * In history mode, setEntity(), updateEntity(), modifyEntity(),
+ * deleteEntity(), and restoreEntity() save the Entity's current version to the
+ * history type before it is overwritten, keyed by the Entity id and _version.
+ * The write is then conditioned on the saved version, i.e., if the Entity is
+ * changed in between, then the write is rejected with a VersionConflictError -
+ * unless retryOnConflict is specified. Writes that are not creates are not
+ * buffered. setEntities(), updateByField(), deleteEntities(), deleteByField(),
+ * deleteByQuery(), and bulk() operations other than creates do not save
+ * history, so they are rejected with a ValidationError, except for
+ * deleteByField() and deleteByQuery() dry runs. Use
+ * getEntityHistory(), getEntityAtVersion(), and diffEntityVersions() to read
+ * the history. The history type's entityId field should be mapped as
+ * not_analyzed.
+ * 
+ * Events:
+ * 
+ * <code>
+ * 'request'	- emitted once per completed elasticsearch request made by this EntityDatabase - see ClusterClient for the event properties
+ * 'bulkProgress'	- emitted after each bulk chunk completes - see bulk()
+ * </code>
+ * 
+ * Each operation accepts request options as its last argument:
+ * 
+ * <code>
+ * options = {
+ *   timeout : 5000,						// OPTIONAL - msec - client side timeout. When the timeout elapses, the HTTP request is aborted and the promise is rejected with a TimeoutError
+ *   cancellation : cancellation			// OPTIONAL - Cancellation - when cancelled, the HTTP request is aborted and the promise is rejected with an AbortedError
+ * }
+ * </code>
+ * 
+ * Request options require the ejs client to be an ElasticSearchClient's client.
+ * 
+ * Operations are rejected with an EntityDatabaseError, i.e., a
+ * ValidationError, NotFoundError, VersionConflictError, TimeoutError, or
+ * TransportError, or one of its subtypes: AbortedError, CircuitOpenError, or
+ * ClientClosedError - see errors.js. Errors thrown by the EntityDatabase
+ * constructor are not EntityDatabaseErrors.
  */
 (function() {
 	'use strict';
 
-	var logging = require('runrightfast-commons').logging;
-	var log = logging.getLogger('entity-database');
-	var lodash = require('lodash');
-	var Hoek = require('hoek');
-	var assert = Hoek.assert;
-	var when = require('when');
-	var joi = require('joi');
-	var extend = require('extend');
+	var events = require('events');
+	var util = require('util');
+	var logging = require('runrightfast-commons').logging;
+	var log = logging.getLogger('entity-database');
+	var lodash = require('lodash');
+	var Hoek = require('hoek');
+	var assert = Hoek.assert;
+	var when = require('when');
+	var joi = require('joi');
+	var extend = require('extend');
+	var elasticSearchClientManager = require('./elasticsearch-client-manager');
+	var RequestStats = require('./request-stats');
+	var Cancellation = require('./cancellation');
+	var WriteBuffer = require('./write-buffer');
+	var errors = require('./errors');
+
+	/**
+	 * 
+	 * @return the error details, which identify the EntityDatabase's index and
+	 *         type, and the Entity id if the error applies to a single Entity
+	 */
+	var errorDetails = function errorDetails(db, id, details) {
+		return extend({
+			index : db.index,
+			type : db.type,
+			id : id
+		}, details);
+	};
+
+	/**
+	 * 
+	 * @param err
+	 *            error message, or Error, e.g., a joi validation error, or an
+	 *            Error thrown by the entityConstructor
+	 * @return ValidationError - EntityDatabaseErrors are returned as is
+	 */
+	var validationError = function validationError(db, err, id) {
+		if (err instanceof errors.EntityDatabaseError) {
+			return err;
+		}
+		if (lodash.isString(err)) {
+			return new errors.ValidationError(err, errorDetails(db, id));
+		}
+		return new errors.ValidationError(err.message, errorDetails(db, id, {
+			cause : err
+		}));
+	};
+
+	/**
+	 * 
+	 * @param result
+	 *            elasticsearch error response, or bulk response item, e.g.,
+	 *            item.create
+	 * @return true if the request failed because of a version conflict, or
+	 *         because the document already exists
+	 */
+	var isConflict = function isConflict(result) {
+		return result.status === 409 || /VersionConflictEngineException|DocumentAlreadyExistsException/.test(result.error);
+	};
+
+	/**
+	 * 
+	 * @param result
+	 *            elasticsearch error response, or bulk response item
+	 * @return true if the request failed because the document does not exist
+	 */
+	var isMissing = function isMissing(result) {
+		return result.status === 404 || /DocumentMissingException/.test(result.error);
+	};
+
+	/**
+	 * Converts the elasticsearch error response into an EntityDatabaseError
+	 * based on its HTTP status.
+	 */
+	var responseError = function responseError(db, result, id) {
+		var details = errorDetails(db, id, {
+			status : result.status,
+			response : result
+		});
+		if (isConflict(result)) {
+			return new errors.VersionConflictError(result.error, details);
+		}
+		if (result.status === 404) {
+			return new errors.NotFoundError(result.error, details);
+		}
+		if (result.status === 400) {
+			return new errors.ValidationError(result.error, details);
+		}
+		return new errors.TransportError(result.error, details);
+	};
+
+	/**
+	 * ClusterClient error codes that have a dedicated error type
+	 */
+	var transportErrorTypes = {
+		TIMEOUT : errors.TimeoutError,
+		ABORTED : errors.AbortedError,
+		CIRCUIT_OPEN : errors.CircuitOpenError,
+		CLIENT_CLOSED : errors.ClientClosedError
+	};
+
+	/**
+	 * Converts the Error that the ejs client failed the request with, i.e., no
+	 * elasticsearch response was received, into a TimeoutError,
+	 * AbortedError, CircuitOpenError, ClientClosedError, or TransportError.
+	 */
+	var transportError = function transportError(db, err, id) {
+		if (err instanceof errors.EntityDatabaseError) {
+			return err;
+		}
+		var ErrorType = transportErrorTypes[err.code] || errors.TransportError;
+		return new ErrorType(err.message, errorDetails(db, id, {
+			status : err.status,
+			cause : err
+		}));
+	};
+
+	/**
+	 * 
+	 * @return ejs client error callback that rejects the promise with the
+	 *         transportError()
+	 */
+	var rejectTransportError = function rejectTransportError(db, id, reject) {
+		return function(err) {
+			reject(transportError(db, err, id));
+		};
+	};
+
+	var validateIdsArraySchema = {
+		ids : joi.types.Array().required().includes(joi.types.String())
+	};
+
+	var validateIdsArray = function validateIdsArray(db, ids) {
+		var err = joi.validate({
+			ids : ids
+		}, validateIdsArraySchema);
+		if (err) {
+			throw validationError(db, err);
+		}
+	};
+
+	var getSortOrder = function getSortOrder(descending) {
+		return descending ? 'desc' : 'asc';
+	};
+
+	var checkElasticsearchResult = function checkElasticsearchResult(db, id, resolve, reject, result) {
+		if (log.isDebugEnabled()) {
+			log.debug(JSON.stringify(result, undefined, 2));
+		}
+		if (result.error) {
+			reject(responseError(db, result, id));
+		} else {
+			resolve(result);
+		}
+	};
+
+	var requestOptionsSchema = {
+		timeout : joi.types.Number().min(1)
+	};
+
+	/**
+	 * Invokes fn, which sends a single elasticsearch request through the
+	 * EntityDatabase's ejs. If the ejs client supports it, i.e., it is a
+	 * ClusterClient, then the request is tagged with the operation name and
+	 * the EntityDatabase's index and type, and the request event is recorded
+	 * and emitted by the EntityDatabase.
+	 * 
+	 * The request options (timeout and cancellation) are passed along to the
+	 * ClusterClient. If the options are invalid, or the ejs client cannot
+	 * honour them, then a ValidationError is thrown.
+	 */
+	var sendRequest = function sendRequest(db, operation, options, fn) {
+		if (!lodash.isUndefined(options)) {
+			if (!lodash.isObject(options)) {
+				throw validationError(db, 'options must be an Object');
+			}
+			var err = joi.validate(lodash.omit(options, 'cancellation'), requestOptionsSchema);
+			if (err) {
+				throw validationError(db, err);
+			}
+			if (!lodash.isUndefined(options.cancellation) && !(options.cancellation instanceof Cancellation)) {
+				throw validationError(db, 'options.cancellation must be a Cancellation');
+			}
+		}
+		options = options || {};
+
+		var client = db.ejs.client;
+		if (!client || !lodash.isFunction(client.withRequestOptions)) {
+			if (!lodash.isUndefined(options.timeout) || !lodash.isUndefined(options.cancellation)) {
+				throw validationError(db, 'request options require the ejs client to be an ElasticSearchClient\'s client');
+			}
+			return fn();
+		}
+
+		return client.withRequestOptions({
+			operation : operation,
+			index : db.index,
+			type : db.type,
+			timeout : options.timeout,
+			cancellation : options.cancellation,
+			onComplete : function(event) {
+				db.requestStats.record(event);
+				db.emit('request', event);
+			}
+		}, fn);
+	};
+
+	var updateEntityParamsSchema = {
+		entity : joi.types.Object().required(),
+		version : joi.types.Number().min(1),
+		updatedBy : joi.types.String()
+	};
+
+	var partialUpdateParamsSchema = {
+		id : joi.types.String().required(),
+		doc : joi.types.Object().allowOtherKeys(),
+		script : joi.types.String(),
+		params : joi.types.Object().allowOtherKeys(),
+		lang : joi.types.String(),
+		version : joi.types.Number().min(1),
+		updatedBy : joi.types.String(),
+		upsert : joi.types.Object().allowOtherKeys(),
+		createdBy : joi.types.String(),
+		retryOnConflict : joi.types.Number().integer().min(1)
+	};
+
+	/**
+	 * Validates the updateEntity() params, and converts them into the body of
+	 * an elasticsearch update request, i.e., { doc, upsert } or { script,
+	 * params, lang, upsert }. The body sets the same fields that
+	 * Entity.updated() sets, i.e., updatedOn and updatedBy. The upsert document
+	 * is validated using the EntityDatabase's entityConstructor, and is stamped
+	 * as created instead, i.e., createdOn and createdBy.
+	 *
+	 * If the params are invalid, then a ValidationError is thrown.
+	 */
+	var partialUpdate = function partialUpdate(db, params) {
+		var err = joi.validate(params, partialUpdateParamsSchema);
+		if (err) {
+			throw validationError(db, err);
+		}
+		if (!params.doc && !params.script) {
+			throw validationError(db, 'either doc or script is required', params.id);
+		}
+		if (params.doc && params.script) {
+			throw validationError(db, 'doc and script are mutually exclusive', params.id);
+		}
+		if (params.version && params.retryOnConflict) {
+			throw validationError(db, 'version and retryOnConflict are mutually exclusive', params.id);
+		}
+
+		var updated = {
+			updatedOn : new Date()
+		};
+		if (params.updatedBy) {
+			updated.updatedBy = params.updatedBy;
+		}
+
+		var update = {};
+		if (params.doc) {
+			update.doc = extend({}, lodash.omit(params.doc, 'id'), updated);
+		} else {
+			// the script is extended to set the updated fields
+			update.params = extend({}, params.params, {
+				entityUpdatedOn : updated.updatedOn.toISOString()
+			});
+			update.script = params.script.replace(/[;\s]+$/, '') + '; ctx._source.updatedOn = entityUpdatedOn';
+			if (updated.updatedBy) {
+				update.params.entityUpdatedBy = updated.updatedBy;
+				update.script += '; ctx._source.updatedBy = entityUpdatedBy';
+			}
+			if (params.lang) {
+				update.lang = params.lang;
+			}
+		}
+		if (params.upsert) {
+			var entity = new db.Entity(extend({}, params.upsert, {
+				id : params.id
+			}));
+			extend(entity, params.upsert, {
+				id : params.id
+			});
+			if (params.createdBy || params.updatedBy) {
+				entity.createdBy = params.createdBy || params.updatedBy;
+			}
+			update.upsert = entity;
+		}
+		return update;
+	};
+
+	/**
+	 * 
+	 * @return updateEntity() params that soft delete the Entity - an Entity
+	 *         that is already soft deleted keeps its deletedOn and deletedBy
+	 */
+	var softDeleteParams = function softDeleteParams(id, deletedBy) {
+		var params = {
+			entityDeletedOn : new Date().toISOString()
+		};
+		var script = 'ctx._source.deletedOn = entityDeletedOn';
+		if (deletedBy) {
+			params.entityDeletedBy = deletedBy;
+			script += '; ctx._source.deletedBy = entityDeletedBy';
+		}
+		return {
+			id : id,
+			script : 'if (ctx._source.deletedOn == null) { ' + script + ' }',
+			params : params
+		};
+	};
+
+	var bulkDeleteParamsSchema = {
+		id : joi.types.String().required(),
+		version : joi.types.Number().min(1),
+		deletedBy : joi.types.String()
+	};
+
+	var bulkActions = [ 'create', 'index', 'update', 'delete' ];
+
+	/**
+	 * Converts a bulk operation into its elasticsearch bulk request lines. The
+	 * entities are validated using the EntityDatabase's entityConstructor, the
+	 * same way the single entity operations do.
+	 *
+	 * If the operation is invalid, then a ValidationError is thrown.
+	 *
+	 * In soft delete mode, a delete operation is converted into an update
+	 * operation that soft deletes the Entity - see softDeleteParams(). The
+	 * request's softDelete property is then set.
+	 *
+	 * @return { action : 'create', id : 'id', payload : 'ndjson lines' }
+	 */
+	var bulkRequest = function bulkRequest(db, operation) {
+		if (!lodash.isObject(operation)) {
+			throw validationError(db, 'operation must be an Object');
+		}
+		var keys = lodash.keys(operation);
+		if (keys.length !== 1 || !lodash.contains(bulkActions, keys[0])) {
+			throw validationError(db, 'operation must have exactly one of the following keys : ' + bulkActions.join(', '));
+		}
+
+		var action = keys[0];
+		var params = operation[action];
+		var metadata = {
+			_index : db.index,
+			_type : db.type
+		};
+		var source, err, entity;
+		switch (action) {
+		case 'create':
+			if (!lodash.isObject(params)) {
+				throw validationError(db, 'entity must be an Object');
+			}
+			entity = new db.Entity(params);
+			extend(entity, params);
+			source = entity;
+			break;
+		case 'index':
+			err = joi.validate(params, updateEntityParamsSchema);
+			if (err) {
+				throw validationError(db, err);
+			}
+			entity = new db.Entity(params.entity);
+			extend(entity, params.entity);
+			entity.updated(params.updatedBy);
+			source = entity;
+			metadata._version = params.version;
+			break;
+		case 'update':
+			source = partialUpdate(db, params);
+			metadata._id = params.id;
+			metadata._version = params.version;
+			metadata._retry_on_conflict = params.retryOnConflict;
+			break;
+		default:
+			err = joi.validate(params, bulkDeleteParamsSchema);
+			if (err) {
+				throw validationError(db, err);
+			}
+			if (db.softDelete) {
+				return extend(bulkRequest(db, {
+					update : extend(softDeleteParams(params.id, params.deletedBy), {
+						version : params.version
+					})
+				}), {
+					softDelete : true
+				});
+			}
+			metadata._id = params.id;
+			metadata._version = params.version;
+		}
+		if (entity) {
+			metadata._id = entity.id;
+		}
+
+		var actionLine = {};
+		actionLine[action] = lodash.omit(metadata, lodash.isUndefined);
+		var payload = JSON.stringify(actionLine) + '\n';
+		if (source) {
+			payload += JSON.stringify(source) + '\n';
+		}
+		return {
+			action : action,
+			id : metadata._id,
+			payload : payload
+		};
+	};
+
+	var bulkOptionsSchema = {
+		chunkSize : joi.types.Number().integer().min(1),
+		chunkBytes : joi.types.Number().integer().min(1),
+		concurrency : joi.types.Number().integer().min(1),
+		onProgress : joi.types.Function()
+	};
+
+	/**
+	 * Splits the bulk requests into chunks, such that each chunk contains at
+	 * most chunkSize operations, and its payload is at most chunkBytes - unless
+	 * a single operation exceeds chunkBytes, in which case it is sent alone.
+	 */
+	var chunkBulkRequests = function chunkBulkRequests(requests, chunkSize, chunkBytes) {
+		var chunks = [];
+		var chunk, chunkPayloadBytes;
+		lodash.forEach(requests, function(request) {
+			var bytes = Buffer.byteLength(request.payload);
+			if (!chunk || chunk.length >= chunkSize || chunkPayloadBytes + bytes > chunkBytes) {
+				chunk = [];
+				chunkPayloadBytes = 0;
+				chunks.push(chunk);
+			}
+			chunk.push(request);
+			chunkPayloadBytes += bytes;
+		});
+		return chunks;
+	};
+
+	/**
+	 * Sends the bulk requests in chunks, running up to options.concurrency
+	 * chunks at a time. Progress is reported via options.onProgress and the
+	 * 'bulkProgress' event after each chunk completes.
+	 *
+	 * If a chunk fails, then no more chunks are sent, and the promise is
+	 * rejected with the chunk's error. Chunks that were already sent are not
+	 * rolled back.
+	 *
+	 * @return Promise - Array of elasticsearch bulk responses, one per chunk,
+	 *         along with the chunk's requests, i.e., { requests, response }
+	 */
+	var sendBulkChunks = function sendBulkChunks(db, operationName, requests, refresh, options) {
+		return when.promise(function(resolve, reject) {
+			var err = joi.validate(lodash.omit(options, 'timeout', 'cancellation'), bulkOptionsSchema);
+			if (err) {
+				throw validationError(db, err);
+			}
+			var requestOptions = lodash.pick(options, 'timeout', 'cancellation');
+			var chunks = chunkBulkRequests(requests, options.chunkSize || 500, options.chunkBytes || 5 * 1024 * 1024);
+			var concurrency = options.concurrency || 1;
+			var path = '/' + db.index + '/' + db.type + '/_bulk' + (refresh ? '?refresh=true' : '');
+
+			var results = [];
+			var nextChunk = 0;
+			var runningChunks = 0;
+			var completedChunks = 0;
+			var completedOperations = 0;
+			var failed = false;
+
+			var progress = function() {
+				var event = {
+					operation : operationName,
+					chunks : chunks.length,
+					completedChunks : completedChunks,
+					total : requests.length,
+					completed : completedOperations
+				};
+				if (options.onProgress) {
+					options.onProgress(event);
+				}
+				db.emit('bulkProgress', event);
+			};
+
+			var fail = function(chunkIndex, error) {
+				if (failed) {
+					return;
+				}
+				failed = true;
+				error.chunk = chunkIndex;
+				reject(error);
+			};
+
+			var sendNextChunks = function() {
+				if (failed) {
+					return;
+				}
+				if (completedChunks === chunks.length) {
+					resolve(results);
+					return;
+				}
+
+				var send = function(chunkIndex) {
+					var chunk = chunks[chunkIndex];
+					var onResponse = function(result) {
+						runningChunks--;
+						if (log.isDebugEnabled()) {
+							log.debug(JSON.stringify(result, undefined, 2));
+						}
+						if (result.error) {
+							fail(chunkIndex, responseError(db, result));
+							return;
+						}
+						results[chunkIndex] = {
+							requests : chunk,
+							response : result
+						};
+						completedChunks++;
+						completedOperations += chunk.length;
+						progress();
+						sendNextChunks();
+					};
+					var onError = function(error) {
+						runningChunks--;
+						fail(chunkIndex, transportError(db, error));
+					};
+
+					/*
+					 * elastic.js does not support the elasticsearch's bulk api,
+					 * so let's make the HTTP request ourselves
+					 */
+					try {
+						sendRequest(db, operationName, requestOptions, function() {
+							db.ejs.client.post(path, lodash.pluck(chunk, 'payload').join(''), onResponse, onError);
+						});
+					} catch (error) {
+						onError(error);
+					}
+				};
+
+				while (!failed && runningChunks < concurrency && nextChunk < chunks.length) {
+					runningChunks++;
+					nextChunk++;
+					send(nextChunk - 1);
+				}
+			};
+
+			sendNextChunks();
+		});
+	};
+
+	/**
+	 * Validates the bulk operations, sends the valid operations in chunked
+	 * bulk requests, and returns the outcome per operation, in the same order -
+	 * see EntityDatabase.bulk()
+	 */
+	var executeBulk = function executeBulk(db, operationName, operations, refresh, options) {
+		options = options || {};
+		var outcomes = [];
+		var requests = [];
+		lodash.forEach(operations, function(operation, i) {
+			try {
+				requests.push(extend(bulkRequest(db, operation), {
+					position : i
+				}));
+			} catch (error) {
+				var err = validationError(db, error);
+				var action = lodash.isObject(operation) ? lodash.find(bulkActions, lodash.has.bind(null, operation)) : undefined;
+				var params = action ? operation[action] : undefined;
+				var entity = action === 'index' && lodash.isObject(params) ? params.entity : params;
+				outcomes[i] = {
+					action : action,
+					id : lodash.isObject(entity) ? entity.id : undefined,
+					ok : false,
+					invalid : true,
+					error : err
+				};
+			}
+		});
+
+		return when(sendBulkChunks(db, operationName, requests, refresh, options), function(results) {
+			lodash.forEach(results, function(result) {
+				lodash.forEach(result.response.items, function(responseItem, i) {
+					var request = result.requests[i];
+					var item = responseItem[request.action];
+					// a soft delete of an Entity that does not exist is reported the same way as a delete
+					var notFound = request.softDelete && isMissing(item);
+					var outcome = {
+						action : request.softDelete ? 'delete' : request.action,
+						id : item._id,
+						ok : !item.error || notFound
+					};
+					if (!item.error) {
+						outcome.version = item._version;
+					} else if (!notFound) {
+						outcome.error = item.error;
+						outcome.conflict = isConflict(item);
+					}
+					if (request.action === 'delete') {
+						outcome.found = item.found;
+					} else if (request.softDelete) {
+						outcome.found = !notFound;
+					}
+					outcomes[request.position] = outcome;
+				});
+			});
+
+			return {
+				errors : lodash.some(outcomes, function(outcome) {
+					return !outcome.ok;
+				}),
+				items : outcomes
+			};
+		});
+	};
+
+	/**
+	 * Summarizes the executeBulk() result by outcome:
+	 * 
+	 * <code>
+	 * {
+	 *   succeeded : [ 'id1' ],
+	 *   conflicted : [ 'id2' ],
+	 *   invalid : [ { id : 'id3', error : err } ],
+	 *   failed : [ { id : 'id4', error : 'message' } ]
+	 * }
+	 * </code>
+	 */
+	var summarizeBulk = function summarizeBulk(result) {
+		var summary = {
+			succeeded : [],
+			conflicted : [],
+			invalid : [],
+			failed : []
+		};
+		lodash.forEach(result.items, function(outcome) {
+			if (outcome.ok) {
+				summary.succeeded.push(outcome.id);
+			} else if (outcome.invalid) {
+				summary.invalid.push(lodash.pick(outcome, 'id', 'error'));
+			} else if (outcome.conflict) {
+				summary.conflicted.push(outcome.id);
+			} else {
+				summary.failed.push(lodash.pick(outcome, 'id', 'error'));
+			}
+		});
+		return summary;
+	};
+
+	/**
+	 * Sends the write buffer's batch of bulk requests as a single bulk request.
+	 *
+	 * @return Promise for the result per request - the bulk response item,
+	 *         which has the same properties as the single entity operation's
+	 *         response, or an EntityDatabaseError if the item failed
+	 */
+	var sendBufferedWrites = function sendBufferedWrites(db, requests) {
+		var payloadBytes = lodash.foldl(requests, function(bytes, request) {
+			return bytes + Buffer.byteLength(request.payload);
+		}, 0);
+		return when(sendBulkChunks(db, 'flush', requests, false, {
+			chunkSize : requests.length,
+			chunkBytes : payloadBytes
+		}), function(results) {
+			var items = results[0].response.items;
+			return requests.map(function(request, i) {
+				var item = items[i][request.action];
+				if (!item.error) {
+					return item;
+				}
+				return responseError(db, item, item._id);
+			});
+		});
+	};
+
+	/**
+	 * Queues the single entity write in the EntityDatabase's write buffer.
+	 * Writes are not buffered if there is no write buffer, if the index is to
+	 * be refreshed, or if request options are specified. In history mode, only
+	 * creates are buffered.
+	 *
+	 * @param operation
+	 *            bulk operation - see EntityDatabase.bulk()
+	 * @return Promise for the write's result, or undefined if the write is not
+	 *         buffered
+	 */
+	var bufferWrite = function bufferWrite(db, operation, refresh, options) {
+		if (!db.writeBuffer || refresh || !lodash.isUndefined(options) || (db.history && !operation.create)) {
+			return undefined;
+		}
+		return db.writeBuffer.add(bulkRequest(db, operation));
+	};
+
+	/**
+	 * 
+	 * @return id of the history document that holds the Entity's version
+	 */
+	var historyId = function historyId(id, version) {
+		return id + ':' + version;
+	};
+
+	/**
+	 * Saves the Entity's current version to the history type, before it is
+	 * overwritten - history mode only. If the version was already saved, e.g.,
+	 * by a concurrent write, then the saved version is kept.
+	 * 
+	 * @return Promise for the version that was saved, which the write is then
+	 *         conditioned on, or undefined if the Entity does not exist
+	 */
+	var saveHistory = function saveHistory(db, operationName, id, options) {
+		return when.promise(function(resolve, reject) {
+			var doc = db.ejs.Document(db.index, db.type, id);
+			sendRequest(db, operationName, options, function() {
+				doc.doGet(function(result) {
+					if (result.error) {
+						reject(responseError(db, result, id));
+						return;
+					}
+					if (!result.exists) {
+						resolve();
+						return;
+					}
+
+					var history = db.ejs.Document(db.history.index, db.history.type, historyId(id, result._version));
+					history.opType('create');
+					history.source({
+						entityId : id,
+						version : result._version,
+						savedOn : new Date(),
+						entity : result._source
+					});
+					sendRequest(db, operationName, options, function() {
+						history.doIndex(function(historyResult) {
+							if (historyResult.error && !isConflict(historyResult)) {
+								reject(responseError(db, historyResult, id));
+								return;
+							}
+							resolve(result._version);
+						}, rejectTransportError(db, id, reject));
+					});
+				}, rejectTransportError(db, id, reject));
+			});
+		});
+	};
+
+	/**
+	 * Sends an elasticsearch update request - see updateEntity(). If an upsert
+	 * document is specified, then the response's created property indicates
+	 * whether the Entity was created or updated.
+	 * 
+	 * Unless the update is conditioned on a version, an upsert first tries to
+	 * create the Entity. If the Entity already exists, then it is updated
+	 * instead. If the Entity is deleted in between, then it tries to create it
+	 * again. Upserts are not buffered, because the bulk response does not tell
+	 * which path was taken.
+	 */
+	var sendUpdate = function sendUpdate(db, operation, params, refresh, options) {
+		return when.promise(function(resolve, reject) {
+			var update;
+			try {
+				update = partialUpdate(db, params);
+			} catch (err) {
+				reject(validationError(db, err, params.id));
+				return;
+			}
+
+			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
+				reject(validationError(db, 'refresh must be a Boolean', params.id));
+				return;
+			}
+
+			var resolveCreated = function(created) {
+				return function(result) {
+					result.created = created;
+					resolve(result);
+				};
+			};
+
+			var send = function(version, upsert, callback) {
+				var doc = db.ejs.Document(db.index, db.type, params.id);
+				if (update.doc) {
+					doc.source(update.doc);
+				} else {
+					doc.script(update.script);
+					doc.params(update.params);
+					if (update.lang) {
+						doc.lang(update.lang);
+					}
+				}
+				if (upsert) {
+					doc.upsert(update.upsert);
+				}
+				if (version) {
+					doc.version(version);
+				}
+				if (params.retryOnConflict) {
+					doc.retryOnConflict(params.retryOnConflict);
+				}
+				doc.refresh(!!refresh);
+
+				sendRequest(db, operation, options, function() {
+					doc.doUpdate(callback, rejectTransportError(db, params.id, reject));
+				});
+			};
+
+			var createOrUpdate = function() {
+				var doc = db.ejs.Document(db.index, db.type, params.id);
+				doc.source(update.upsert);
+				doc.opType('create');
+				doc.refresh(!!refresh);
+
+				sendRequest(db, operation, options, function() {
+					doc.doIndex(function(result) {
+						if (result.error && isConflict(result)) {
+							send(undefined, false, function(updateResult) {
+								if (updateResult.error && isMissing(updateResult)) {
+									createOrUpdate();
+									return;
+								}
+								checkElasticsearchResult(db, params.id, resolveCreated(false), reject, updateResult);
+							});
+							return;
+						}
+						checkElasticsearchResult(db, params.id, resolveCreated(true), reject, result);
+					}, rejectTransportError(db, params.id, reject));
+				});
+			};
+
+			var write = function(version) {
+				if (!params.upsert) {
+					var buffered = bufferWrite(db, {
+						update : params
+					}, refresh, options);
+					if (buffered) {
+						when(buffered, resolve, reject);
+						return;
+					}
+					send(version, false, checkElasticsearchResult.bind(null, db, params.id, resolve, reject));
+				} else if (version) {
+					// the Entity exists if the version matches
+					send(version, true, checkElasticsearchResult.bind(null, db, params.id, resolveCreated(false), reject));
+				} else {
+					createOrUpdate();
+				}
+			};
+
+			if (db.history) {
+				when(saveHistory(db, operation, params.id, options), function(savedVersion) {
+					// version and retryOnConflict are mutually exclusive
+					write(params.version || (params.retryOnConflict ? undefined : savedVersion));
+				}, reject);
+				return;
+			}
+			write(params.version);
+		});
+	};
+
+	var readOptionNames = [ 'hydrate', 'includeDeleted' ];
 
-	var validateIdsArraySchema = {
-		ids : joi.types.Array().required().includes(joi.types.String())
+	/**
+	 * Read operations accept hydrate and includeDeleted options in addition to
+	 * the request options.
+	 *
+	 * @return { hydrate : Boolean, includeDeleted : Boolean, requestOptions :
+	 *         Object } - a ValidationError is thrown if either option is not a
+	 *         Boolean
+	 */
+	var readOptions = function readOptions(db, options) {
+		var read = {
+			hydrate : false,
+			includeDeleted : false,
+			requestOptions : options
+		};
+		if (!lodash.isObject(options) || !lodash.some(readOptionNames, lodash.has.bind(null, options))) {
+			return read;
+		}
+		lodash.forEach(readOptionNames, function(name) {
+			if (!lodash.isUndefined(options[name])) {
+				if (!lodash.isBoolean(options[name])) {
+					throw validationError(db, name + ' must be a Boolean');
+				}
+				read[name] = options[name];
+			}
+		});
+		read.requestOptions = lodash.omit(options, readOptionNames);
+		return read;
 	};
 
-	var validateIdsArray = function validateIdsArray(ids) {
-		var err = joi.validate({
-			ids : ids
-		}, validateIdsArraySchema);
-		if (err) {
-			throw err;
+	/**
+	 * 
+	 * @return true if soft deleted entities are to be excluded from the read
+	 *         operation's results
+	 */
+	var excludeDeleted = function excludeDeleted(db, read) {
+		return db.softDelete && !read.includeDeleted;
+	};
+
+	/**
+	 * 
+	 * @return true if the elasticsearch document or search hit is soft deleted
+	 */
+	var isDeleted = function isDeleted(doc) {
+		return !!(doc._source && doc._source.deletedOn);
+	};
+
+	/**
+	 * 
+	 * @return elastic.js Filter that excludes soft deleted entities, combined
+	 *         with the specified filter, if any
+	 */
+	var notDeletedFilter = function notDeletedFilter(db, filter) {
+		var missing = db.ejs.MissingFilter('deletedOn');
+		return filter ? db.ejs.AndFilter([ filter, missing ]) : missing;
+	};
+
+	var RESTORE_ENTITY_SCRIPT = 'ctx._source.remove("deletedOn"); ctx._source.remove("deletedBy")';
+
+	/**
+	 * Delete operations accept a deletedBy option in addition to the request
+	 * options, which applies in soft delete mode.
+	 *
+	 * @return { deletedBy : String, requestOptions : Object } - a
+	 *         ValidationError is thrown if deletedBy is not a String
+	 */
+	var deleteOptions = function deleteOptions(db, options) {
+		if (!lodash.isObject(options) || !lodash.has(options, 'deletedBy')) {
+			return {
+				requestOptions : options
+			};
 		}
+		if (!lodash.isUndefined(options.deletedBy) && !lodash.isString(options.deletedBy)) {
+			throw validationError(db, 'deletedBy must be a String');
+		}
+		var requestOptions = lodash.omit(options, 'deletedBy');
+		return {
+			deletedBy : options.deletedBy,
+			// empty request options are dropped, so that the delete can still be buffered
+			requestOptions : lodash.isEmpty(requestOptions) ? undefined : requestOptions
+		};
 	};
 
-	var getSortOrder = function getSortOrder(descending) {
-		return descending ? 'desc' : 'asc';
+	/**
+	 * Sets metadata on the Entity as a non-enumerable property, i.e., it is
+	 * not saved along with the Entity.
+	 */
+	var setMetadata = function setMetadata(entity, name, value) {
+		if (!lodash.isUndefined(value)) {
+			Object.defineProperty(entity, name, {
+				value : value,
+				enumerable : false,
+				writable : true,
+				configurable : true
+			});
+		}
 	};
 
-	var checkElasticsearchResult = function checkElasticsearchResult(resolve, reject, result) {
-		if (log.isDebugEnabled()) {
-			log.debug(JSON.stringify(result, undefined, 2));
+	/**
+	 * Constructs an Entity from an elasticsearch document or search hit using
+	 * the EntityDatabase's entityConstructor. The document's _version and _score
+	 * are set as non-enumerable properties. If the entityConstructor throws an
+	 * Error, then a ValidationError is thrown.
+	 */
+	var hydrate = function hydrate(db, hit) {
+		var source = hit._source || hit.fields || {};
+		var entity;
+		try {
+			entity = new db.Entity(source);
+		} catch (err) {
+			throw validationError(db, err, hit._id || source.id);
 		}
-		if (result.error) {
-			var err = new Error(result.error);
-			err.code = result.status;
+		extend(entity, source);
+		setMetadata(entity, '_version', hit._version);
+		setMetadata(entity, '_score', hit._score);
+		return entity;
+	};
+
+	/**
+	 * 
+	 * @return { total, maxScore, entities, facets } - entities are hydrated
+	 *         from the search hits
+	 */
+	var hydrateSearchResult = function hydrateSearchResult(db, result) {
+		var hydrated = {
+			total : result.hits.total,
+			maxScore : result.hits.max_score,
+			entities : lodash.map(result.hits.hits, function(hit) {
+				return hydrate(db, hit);
+			})
+		};
+		if (result.facets) {
+			hydrated.facets = result.facets;
+		}
+		return hydrated;
+	};
+
+	/**
+	 * Resolves the promise with the value returned by fn, which hydrates the
+	 * result - elasticsearch responses are handled outside of any promise, so
+	 * the hydration Error is passed to reject instead of being thrown.
+	 */
+	var resolveHydrated = function resolveHydrated(resolve, reject, fn) {
+		var value;
+		try {
+			value = fn();
+		} catch (err) {
 			reject(err);
-		} else {
-			resolve(result);
+			return;
+		}
+		resolve(value);
+	};
+
+	/**
+	 * Retrieves the Entity's source at the specified version, i.e., the
+	 * Entity itself if it is the current version, otherwise the history
+	 * document.
+	 * 
+	 * @return Promise for { version, savedOn, source } - savedOn is undefined
+	 *         for the current version. If the version does not exist, then the
+	 *         promise is rejected with a NotFoundError.
+	 */
+	var getVersion = function getVersion(db, operationName, id, version, options) {
+		return when.promise(function(resolve, reject) {
+			var doc = db.ejs.Document(db.index, db.type, id);
+			var history = db.ejs.Document(db.history.index, db.history.type, historyId(id, version));
+			var onHistory = function(result) {
+				if (result.exists) {
+					resolve({
+						version : version,
+						savedOn : result._source.savedOn,
+						source : result._source.entity
+					});
+				} else if (result.error && result.status !== 404) {
+					reject(responseError(db, result, id));
+				} else {
+					// the history index does not exist if no version was saved yet
+					reject(new errors.NotFoundError('Entity version does not exist : ' + id + ' : ' + version, errorDetails(db, id, {
+						status : 404,
+						response : result
+					})));
+				}
+			};
+
+			sendRequest(db, operationName, options, function() {
+				doc.doGet(function(result) {
+					if (result.error) {
+						reject(responseError(db, result, id));
+						return;
+					}
+					if (result.exists && result._version === version) {
+						resolve({
+							version : version,
+							source : result._source
+						});
+						return;
+					}
+					sendRequest(db, operationName, options, function() {
+						history.doGet(onHistory, rejectTransportError(db, id, reject));
+					});
+				}, rejectTransportError(db, id, reject));
+			});
+		});
+	};
+
+	/**
+	 * Compares the sources field by field. Nested objects are compared field
+	 * by field as well, and their fields are identified by their path, e.g.,
+	 * 'address.city'. Any other values, e.g., Arrays, are compared as a whole.
+	 * 
+	 * @return Array of changes, sorted by field
+	 */
+	var diffSources = function diffSources(from, to, path, changes) {
+		changes = changes || [];
+		lodash.forEach(lodash.union(lodash.keys(from), lodash.keys(to)).sort(), function(name) {
+			var field = path ? path + '.' + name : name;
+			var fromValue = from[name];
+			var toValue = to[name];
+			if (lodash.isPlainObject(fromValue) && lodash.isPlainObject(toValue)) {
+				diffSources(fromValue, toValue, field, changes);
+			} else if (!lodash.has(from, name)) {
+				changes.push({
+					field : field,
+					change : 'added',
+					to : toValue
+				});
+			} else if (!lodash.has(to, name)) {
+				changes.push({
+					field : field,
+					change : 'removed',
+					from : fromValue
+				});
+			} else if (!lodash.isEqual(fromValue, toValue)) {
+				changes.push({
+					field : field,
+					change : 'changed',
+					from : fromValue,
+					to : toValue
+				});
+			}
+		});
+		return changes;
+	};
+
+	var historyVersionSchema = {
+		version : joi.types.Number().integer().min(1).required()
+	};
+
+	/**
+	 * Validates the args of the history read operations
+	 * 
+	 * @return ValidationError, or undefined if the args are valid
+	 */
+	var validateHistoryArgs = function validateHistoryArgs(db, id, versions) {
+		if (!db.history) {
+			return validationError(db, 'history mode is not enabled', id);
+		}
+		if (!lodash.isString(id)) {
+			return validationError(db, 'id is required and must be a String');
 		}
+		var err;
+		lodash.forEach(versions, function(version) {
+			if (!lodash.isNumber(version)) {
+				err = 'version is required and must be a Number';
+			} else {
+				err = joi.validate({
+					version : version
+				}, historyVersionSchema);
+			}
+			return !err;
+		});
+		return err ? validationError(db, err, id) : undefined;
+	};
+
+	/**
+	 * Writes that overwrite or delete entities in bulk do not save history -
+	 * history mode only.
+	 * 
+	 * @return ValidationError, or undefined if history mode is not enabled
+	 */
+	var bulkHistoryError = function bulkHistoryError(db, operationName) {
+		return db.history ? validationError(db, operationName + '() is not supported in history mode, because it does not save history') : undefined;
+	};
+
+	/**
+	 * how long elasticsearch keeps the scan's search context alive between
+	 * scroll requests
+	 */
+	var SCROLL_KEEP_ALIVE = '5m';
+
+	/**
+	 * Scans the ids of the entities that match the filter using an
+	 * elasticsearch scan search, i.e., the matching entities are a snapshot as
+	 * of when the scan started. onBatch(ids) is invoked per batch of ids, and
+	 * the next batch is requested once the promise it returns resolves. If the
+	 * scan fails, then the scroll is cleared.
+	 * 
+	 * @param batchSize
+	 *            number of ids per shard per batch
+	 * @return Promise - the number of entities that matched the filter
+	 */
+	var scanIds = function scanIds(db, operationName, filter, batchSize, requestOptions, onBatch) {
+		return when.promise(function(resolve, reject) {
+			var total, scrollId, send;
+
+			/*
+			 * the scroll is cleared without the request options, i.e., even if
+			 * the scan was cancelled or timed out - clearing it is best effort
+			 */
+			var fail = function(err) {
+				if (scrollId) {
+					var onCleared = function(result) {
+						if (result && result.error) {
+							log.warn(operationName + '() : failed to clear scroll : ' + result.error);
+						}
+					};
+					sendRequest(db, operationName, undefined, function() {
+						db.ejs.client.del('/_search/scroll', scrollId, onCleared, function(error) {
+							log.warn(operationName + '() : failed to clear scroll : ' + error);
+						});
+					});
+				}
+				reject(err);
+			};
+
+			var onResponse = function(result) {
+				scrollId = result._scroll_id;
+				if (lodash.isUndefined(total)) {
+					// the scan response returns no hits, only the scroll id
+					total = result.hits.total;
+					send('/_search/scroll?scroll=' + SCROLL_KEEP_ALIVE, scrollId);
+					return;
+				}
+				if (result.hits.hits.length === 0) {
+					resolve(total);
+					return;
+				}
+				when(onBatch(lodash.pluck(result.hits.hits, '_id')), function() {
+					send('/_search/scroll?scroll=' + SCROLL_KEEP_ALIVE, scrollId);
+				}, fail);
+			};
+
+			/*
+			 * elastic.js does not support scrolling, so let's make the HTTP
+			 * requests ourselves
+			 */
+			send = function(path, body) {
+				sendRequest(db, operationName, requestOptions, function() {
+					db.ejs.client.post(path, body, checkElasticsearchResult.bind(null, db, undefined, onResponse, fail), rejectTransportError(db,
+							undefined, fail));
+				});
+			};
+
+			send('/' + db.index + '/' + db.type + '/_search?search_type=scan&scroll=' + SCROLL_KEEP_ALIVE + '&size=' + batchSize, JSON.stringify({
+				query : db.ejs.FilteredQuery(db.ejs.MatchAllQuery(), filter)._self(),
+				fields : []
+			}));
+		});
+	};
+
+	var deleteByQueryOptionsSchema = {
+		dryRun : joi.types.Boolean(),
+		deletedBy : joi.types.String()
+	};
+
+	var isFilter = function isFilter(filter) {
+		return lodash.isObject(filter) && lodash.isFunction(filter._type) && filter._type() === 'filter';
+	};
+
+	/**
+	 * max number of entities per shard that are soft deleted per batch
+	 */
+	var SOFT_DELETE_BATCH_SIZE = 500;
+
+	/**
+	 * Scans the entities that match the filter, and soft deletes them in
+	 * batches using bulk delete operations - see bulkRequest()
+	 * 
+	 * @return Promise - { matched, deleted, failures : [ { id, error } ] }
+	 */
+	var softDeleteByQuery = function softDeleteByQuery(db, operationName, filter, deletedBy, requestOptions) {
+		var counts = {
+			deleted : 0,
+			failures : []
+		};
+		var deleteBatch = function(ids) {
+			return when(executeBulk(db, operationName, ids.map(function(id) {
+				return {
+					"delete" : lodash.omit({
+						id : id,
+						deletedBy : deletedBy
+					}, lodash.isUndefined)
+				};
+			}), false, requestOptions), function(result) {
+				lodash.forEach(result.items, function(item) {
+					if (!item.ok) {
+						counts.failures.push(lodash.pick(item, 'id', 'error'));
+					} else if (item.found) {
+						counts.deleted++;
+					}
+				});
+			});
+		};
+
+		return when(scanIds(db, operationName, filter, SOFT_DELETE_BATCH_SIZE, requestOptions, deleteBatch), function(total) {
+			return extend({
+				matched : total
+			}, counts);
+		});
+	};
+
+	/**
+	 * Counts the entities that match the filter, and then deletes them using an
+	 * elasticsearch delete by query request, unless options.dryRun is true -
+	 * see EntityDatabase.deleteByQuery(). In soft delete mode, the entities
+	 * that are not soft deleted yet are soft deleted instead - see
+	 * softDeleteByQuery().
+	 */
+	var deleteByQuery = function deleteByQuery(db, operationName, filter, options) {
+		return when.promise(function(resolve, reject) {
+			options = options || {};
+			var err = joi.validate(lodash.pick(options, 'dryRun', 'deletedBy'), deleteByQueryOptionsSchema);
+			if (err) {
+				reject(validationError(db, err));
+				return;
+			}
+			if (!lodash.isUndefined(options.dryRun) && !lodash.isBoolean(options.dryRun)) {
+				reject(validationError(db, 'dryRun must be a Boolean'));
+				return;
+			}
+			if (!isFilter(filter)) {
+				reject(validationError(db, 'filter is required and must be an elastic.js Filter'));
+				return;
+			}
+
+			if (!lodash.isUndefined(options.deletedBy) && !lodash.isString(options.deletedBy)) {
+				reject(validationError(db, 'deletedBy must be a String'));
+				return;
+			}
+			if (!options.dryRun) {
+				err = bulkHistoryError(db, operationName);
+				if (err) {
+					reject(err);
+					return;
+				}
+			}
+
+			var requestOptions = lodash.omit(options, 'dryRun', 'deletedBy');
+			if (db.softDelete) {
+				filter = notDeletedFilter(db, filter);
+			}
+			var request = db.request().query(db.ejs.FilteredQuery(db.ejs.MatchAllQuery(), filter));
+			var onDeleted = function(count, result) {
+				var failedShards = lodash.foldl(result._indices, function(failed, index) {
+					return failed + (index._shards ? index._shards.failed : 0);
+				}, 0);
+				if (failedShards > 0) {
+					reject(new errors.TransportError('Delete by query failed on ' + failedShards + ' shard(s)', errorDetails(db, undefined, {
+						response : result
+					})));
+					return;
+				}
+				resolve({
+					matched : count,
+					deleted : count
+				});
+			};
+
+			sendRequest(db, operationName, requestOptions, function() {
+				request.doCount(checkElasticsearchResult.bind(null, db, undefined, function(result) {
+					if (options.dryRun || result.count === 0) {
+						resolve({
+							matched : result.count,
+							deleted : 0
+						});
+						return;
+					}
+					if (db.softDelete) {
+						when(softDeleteByQuery(db, operationName, filter, options.deletedBy, requestOptions), resolve, reject);
+						return;
+					}
+					sendRequest(db, operationName, requestOptions, function() {
+						request.doDeleteByQuery(checkElasticsearchResult.bind(null, db, undefined, onDeleted.bind(null, result.count), reject),
+								rejectTransportError(db, undefined, reject));
+					});
+				}, reject), rejectTransportError(db, undefined, reject));
+			});
+		});
 	};
 
 	var EntityDatabase = function(options) {
 		assert(lodash.isObject(options), 'options is required');
+		// ejs is validated separately - joi would deep clone it, including its client
 		var optionsSchema = {
-			ejs : joi.types.Object().required(),
+			elasticSearchClient : joi.types.String(),
 			index : joi.types.String().required(),
 			type : joi.types.String().required(),
 			entityConstructor : joi.types.Function().required(),
-			logLevel : joi.types.String()
+			logLevel : joi.types.String(),
+			statsSampleSize : joi.types.Number().min(1),
+			writeBuffer : joi.types.Object({
+				maxSize : joi.types.Number().integer().min(1),
+				interval : joi.types.Number().integer().min(0)
+			}),
+			softDelete : joi.types.Boolean(),
+			history : joi.types.Object({
+				index : joi.types.String(),
+				type : joi.types.String()
+			})
 		};
 
-		var err = joi.validate(options, optionsSchema);
+		var err = joi.validate(lodash.omit(options, 'ejs'), optionsSchema);
 		if (err) {
 			throw err;
 		}
+		if (!lodash.isUndefined(options.ejs) && !lodash.isObject(options.ejs)) {
+			throw new Error('ejs must be an Object');
+		}
+		if (!lodash.isUndefined(options.softDelete) && !lodash.isBoolean(options.softDelete)) {
+			throw new Error('softDelete must be a Boolean');
+		}
+
+		if (options.ejs && options.elasticSearchClient) {
+			throw new Error('ejs and elasticSearchClient are mutually exclusive');
+		}
+		var ejs = options.ejs;
+		if (options.elasticSearchClient) {
+			var client = elasticSearchClientManager.getClient(options.elasticSearchClient);
+			if (!client) {
+				throw new Error('ElasticSearchClient is not registered : ' + options.elasticSearchClient);
+			}
+			ejs = client.ejs;
+		}
+		if (!ejs) {
+			throw new Error('either ejs or elasticSearchClient is required');
+		}
 
 		var logLevel = options.logLevel || 'WARN';
 		logging.setLogLevel(log, logLevel);
 		if (log.isDebugEnabled()) {
-			log.debug(JSON.stringify(options, undefined, 2));
+			log.debug(JSON.stringify(lodash.omit(options, 'ejs'), undefined, 2));
 		}
 
+		events.EventEmitter.call(this);
+		this.requestStats = new RequestStats({
+			sampleSize : options.statsSampleSize
+		});
+
 		this.Entity = options.entityConstructor;
-		this.ejs = options.ejs;
+		this.ejs = ejs;
 		this.index = options.index.toLowerCase();
 		if (options.type) {
 			this.type = options.type.toLowerCase();
 		}
+		this.softDelete = !!options.softDelete;
+		if (options.history) {
+			this.history = {
+				index : (options.history.index || this.index).toLowerCase(),
+				type : (options.history.type || this.type + '_history').toLowerCase()
+			};
+			if (this.history.index === this.index && this.history.type === this.type) {
+				throw new Error('history type must not be the same as the type');
+			}
+		}
+
+		if (options.writeBuffer) {
+			var self = this;
+			this.writeBuffer = new WriteBuffer(extend({}, options.writeBuffer, {
+				send : function(requests) {
+					return sendBufferedWrites(self, requests);
+				}
+			}));
+		}
+	};
+
+	util.inherits(EntityDatabase, events.EventEmitter);
+
+	/**
+	 * 
+	 * @return request count, error count and latency percentiles per
+	 *         EntityDatabase operation - see RequestStats
+	 */
+	EntityDatabase.prototype.stats = function() {
+		return this.requestStats.stats();
+	};
+
+	EntityDatabase.prototype.resetStats = function() {
+		this.requestStats.reset();
+	};
+
+	/**
+	 * Sends the writes that are queued in the write buffer immediately, e.g.,
+	 * on shutdown.
+	 *
+	 * @return Promise that resolves once all writes queued so far have been
+	 *         sent. Each write's own promise reports the write's result.
+	 */
+	EntityDatabase.prototype.flush = function() {
+		return this.writeBuffer ? this.writeBuffer.flush() : when.resolve();
 	};
 
 	/**
@@ -103,6 +1555,8 @@
 	 *            OPTIONAL - Enables the index to be refreshed immediately after
 	 *            the operation occurs. This is an advanced setting and can lead
 	 *            to performance issues.
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
 	 * @return Promise that returns elasticsearch create response:
 	 * 
 	 * <code> 
@@ -115,18 +1569,20 @@
 	 * }
 	 * </code>
 	 * 
-	 * if the create fails, then an error message object is returned, e.g.,
+	 * if the Entity already exists, then the promise is rejected with a
+	 * VersionConflictError, whose response is the elasticsearch error
+	 * response, e.g.,
 	 * 
 	 * <code>
 	 * { error: 'DocumentAlreadyExistsException[[entitydatabasespec][1] [entitydatabasetestdoc][bbddf97584e04d3a8f7310ce8629ecf7]: document already exists]',
 	 *   status: 409 }
 	 * </code>
 	 */
-	EntityDatabase.prototype.createEntity = function(entity, refresh) {
+	EntityDatabase.prototype.createEntity = function(entity, refresh, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			if (!lodash.isObject(entity)) {
-				reject(new Error('entity is required'));
+				reject(validationError(self, 'entity is required'));
 				if (log.isDebugEnabled()) {
 					log.debug('createEntity(): entity is not an object\n' + JSON.stringify(entity, undefined, 2));
 				}
@@ -134,7 +1590,7 @@
 			}
 
 			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
-				reject(new Error('refresh must be a Boolean'));
+				reject(validationError(self, 'refresh must be a Boolean', entity.id));
 				return;
 			}
 
@@ -142,8 +1598,7 @@
 			try {
 				newEntity = new self.Entity(entity);
 			} catch (err) {
-				err.code = 400;
-				reject(err);
+				reject(validationError(self, err, entity.id));
 				return;
 			}
 
@@ -153,57 +1608,150 @@
 			doc.opType('create');
 			doc.refresh(!!refresh);
 			doc.source(newEntity);
-			doc.doIndex(checkElasticsearchResult.bind(null, resolve, reject), reject);
+			var buffered = bufferWrite(self, {
+				create : newEntity
+			}, refresh, options);
+			if (buffered) {
+				when(buffered, resolve, reject);
+				return;
+			}
+
+			sendRequest(self, 'createEntity', options, function() {
+				doc.doIndex(checkElasticsearchResult.bind(null, self, newEntity.id, resolve, reject), rejectTransportError(self, newEntity.id, reject));
+			});
+		});
+	};
+
+	/**
+	 * Creates the entities in a single bulk request. Each entity is validated
+	 * using the entityConstructor - invalid entities are not sent. Like
+	 * createEntity(), entities are only created if they do not already exist.
+	 * 
+	 * @param entities
+	 *            REQUIRED - Array of entities
+	 * @param options
+	 *            OPTIONAL - request options and bulk options - see bulk()
+	 * @returns Promise - if entities is empty, then undefined is returned -
+	 *          otherwise a summary of the results:
+	 * 
+	 * <code>
+	 * {
+	 *   succeeded : [ 'id1' ],								// ids of the entities that were created
+	 *   conflicted : [ 'id2' ],							// ids of the entities that already exist
+	 *   invalid : [ { id : 'id3', error : err } ],			// entities that failed validation - id is undefined if the entity has no id
+	 *   failed : [ { id : 'id4', error : 'message' } ]		// entities that elasticsearch failed to create for any other reason
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.createEntities = function(entities, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			if (!lodash.isArray(entities)) {
+				reject(validationError(self, 'entities is required to be an Array'));
+				if (log.isDebugEnabled()) {
+					log.debug('createEntities(): entities is not an array\n' + JSON.stringify(entities, undefined, 2));
+				}
+				return;
+			}
+
+			if (entities.length === 0) {
+				resolve();
+				return;
+			}
+
+			if (log.isDebugEnabled()) {
+				log.debug('createEntities():\n' + JSON.stringify(entities, undefined, 2));
+			}
+
+			when(executeBulk(self, 'createEntities', entities.map(function(entity) {
+				return {
+					create : entity
+				};
+			}), false, options), function(result) {
+				resolve(summarizeBulk(result));
+			}, reject);
 		});
 	};
 
+	var setEntitiesOptionsSchema = {
+		updatedBy : joi.types.String(),
+		refresh : joi.types.Boolean()
+	};
+
 	/**
+	 * Replaces the entities in bulk, i.e., the bulk counterpart of
+	 * setEntity(). Each entity is validated using the entityConstructor, and
+	 * its updatedOn is set to the current time. If a version is specified, then
+	 * the entity is only updated if its current version matches.
+	 * 
+	 * In history mode, the promise is rejected with a ValidationError, because
+	 * the entities' history is not saved - use setEntity() instead.
+	 * 
+	 * @param items
+	 *            REQUIRED - Array of setEntity() params, i.e.,
+	 * 
+	 * <code>
+	 * [ { entity : entity, version : 2, updatedBy : 'user_id' } ]	// version and updatedBy are OPTIONAL
+	 * </code>
+	 * @param options
+	 *            OPTIONAL - request options and bulk options - see bulk() -
+	 *            and:
 	 * 
-	 * @param entities
-	 * @returns Promise
+	 * <code>
+	 * {
+	 *   updatedBy : 'user_id',		// OPTIONAL - applies to items that do not specify updatedBy
+	 *   refresh : false			// OPTIONAL - Default is false - Enables the index to be refreshed immediately after the operation occurs
+	 * }
+	 * </code>
+	 * @returns Promise - if items is empty, then undefined is returned -
+	 *          otherwise a summary of the results:
+	 * 
+	 * <code>
+	 * {
+	 *   succeeded : [ 'id1' ],								// ids of the entities that were updated
+	 *   conflicted : [ 'id2' ],							// ids of the entities whose version did not match
+	 *   invalid : [ { id : 'id3', error : err } ],			// items that failed validation
+	 *   failed : [ { id : 'id4', error : 'message' } ]		// entities that elasticsearch failed to update for any other reason
+	 * }
+	 * </code>
 	 */
-	EntityDatabase.prototype.createEntities = function(entities) {
+	EntityDatabase.prototype.setEntities = function(items, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
-			if (!lodash.isArray(entities)) {
-				reject(new Error('entities is required to be an Array'));
-				if (log.isDebugEnabled()) {
-					log.debug('createEntities(): entities is not an array\n' + JSON.stringify(entities, undefined, 2));
-				}
+			if (!lodash.isArray(items)) {
+				reject(validationError(self, 'items is required to be an Array'));
 				return;
 			}
 
-			if (entities.length === 0) {
+			options = options || {};
+			var err = joi.validate(lodash.pick(options, 'updatedBy', 'refresh'), setEntitiesOptionsSchema) || bulkHistoryError(self, 'setEntities');
+			if (err) {
+				reject(validationError(self, err));
+				return;
+			}
+			if (!lodash.isUndefined(options.refresh) && !lodash.isBoolean(options.refresh)) {
+				reject(validationError(self, 'refresh must be a Boolean'));
+				return;
+			}
+
+			if (items.length === 0) {
 				resolve();
 				return;
 			}
 
 			if (log.isDebugEnabled()) {
-				log.debug('createEntities():\n' + JSON.stringify(entities, undefined, 2));
+				log.debug('setEntities():\n' + JSON.stringify(items, undefined, 2));
 			}
 
-			var newEntity;
-			var payload = lodash.foldl(entities, function(payload, entity) {
-				newEntity = new self.Entity(entity);
-				extend(newEntity,entity);
-				payload += JSON.stringify({
-					index : {
-						_index : self.index,
-						_type : self.type,
-						_id : entity.id
-					}
-				});
-				payload += '\n';
-				payload += JSON.stringify(newEntity);
-				payload += '\n';
-				return payload;
-			}, '');
-
-			/*
-			 * elastic.js does not support the elasticsearch's bulk api, so
-			 * let's make the HTTP request ourselves
-			 */
-			self.ejs.client.post('/' + self.index + '/' + self.type + '/_bulk', payload, resolve, reject);
+			when(executeBulk(self, 'setEntities', items.map(function(item) {
+				return {
+					index : lodash.isObject(item) && !item.updatedBy && options.updatedBy ? extend({}, item, {
+						updatedBy : options.updatedBy
+					}) : item
+				};
+			}), !!options.refresh, lodash.omit(options, 'updatedBy', 'refresh')), function(result) {
+				resolve(summarizeBulk(result));
+			}, reject);
 		});
 	};
 
@@ -211,6 +1759,13 @@
 	 * 
 	 * @param id
 	 *            REQUIRED
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            and hydrate : Boolean - if true, then the Entity is returned
+	 *            instead, constructed using the entityConstructor. Its _version
+	 *            is set as a non-enumerable property. In soft delete mode,
+	 *            includeDeleted : Boolean - if true, then the Entity is
+	 *            returned even if it is soft deleted.
 	 * @return Promise that returns the elasticsearch response.
 	 * 
 	 * <code>
@@ -229,48 +1784,56 @@
 	 *	}
 	 * </code>
 	 * 
-	 * if the entity does not exist, then an Error is returned with 2 additional
-	 * properties:
-	 * 
-	 * <code>
-	 * code			ERROR CODE - will be 404 for Entities that do not exist
-	 * info			Additional error info - this will only be set for 404 errors, which provides the elasticsearch index and type searched	 
-	 * </code>
+	 * if the entity does not exist, or is soft deleted, then the promise is
+	 * rejected with a NotFoundError, whose response is the elasticsearch
+	 * response
 	 */
-	EntityDatabase.prototype.getEntity = function(id) {
+	EntityDatabase.prototype.getEntity = function(id, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			if (!lodash.isString(id)) {
-				reject(new Error('id is required and must be a String'));
+				reject(validationError(self, 'id is required and must be a String'));
 				return;
 			}
 
+			var read = readOptions(self, options);
 			var doc = self.ejs.Document(self.index, self.type, id);
-			doc.doGet(function(result) {
-				var err;
-				if (result.exists) {
-					resolve(result);
-				} else if (lodash.isBoolean(result.exists)) {
-					err = new Error('Entity does not exist');
-					err.code = 404;
-					err.info = result;
-					reject(err);
-				} else if (result.error) {
-					err = new Error(result.error);
-					err.code = result.code;
-					reject(err);
-				} else {
-					resolve(result);
-				}
-			}, reject);
+			sendRequest(self, 'getEntity', read.requestOptions, function() {
+				doc.doGet(function(result) {
+					if (result.exists && excludeDeleted(self, read) && isDeleted(result)) {
+						reject(new errors.NotFoundError('Entity is deleted : ' + id, errorDetails(self, id, {
+							response : result
+						})));
+					} else if (result.exists) {
+						resolveHydrated(resolve, reject, function() {
+							return read.hydrate ? hydrate(self, result) : result;
+						});
+					} else if (lodash.isBoolean(result.exists)) {
+						reject(new errors.NotFoundError('Entity does not exist : ' + id, errorDetails(self, id, {
+							status : 404,
+							response : result
+						})));
+					} else if (result.error) {
+						reject(responseError(self, result, id));
+					} else {
+						resolve(result);
+					}
+				}, rejectTransportError(self, id, reject));
+			});
 		});
 	};
 
-	var updateEntityParamsSchema = {
-		entity : joi.types.Object().required(),
-		version : joi.types.Number().min(1),
-		updatedBy : joi.types.String()
-	};
+	var setEntityParamsSchema = extend({
+		upsert : joi.types.Boolean(),
+		createdBy : joi.types.String()
+	}, updateEntityParamsSchema);
+
+	/**
+	 * Replaces the Entity's source, but keeps the existing createdOn and
+	 * createdBy
+	 */
+	var SET_ENTITY_SCRIPT = 'entitySource.createdOn = ctx._source.createdOn; '
+			+ 'if (ctx._source.createdBy != null) { entitySource.createdBy = ctx._source.createdBy; } ' + 'ctx._source = entitySource';
 
 	/**
 	 * If an Entity with the same id already exists, then it will replace it,
@@ -278,12 +1841,24 @@
 	 * 
 	 * The updatedOn will be set to the current time.
 	 * 
+	 * In upsert mode, if the Entity does not exist, then it is created and its
+	 * createdOn is set to the current time. Otherwise, the existing Entity's
+	 * createdOn and createdBy are kept, and only updatedOn and updatedBy
+	 * change. The response's created property indicates which path was taken.
+	 * 
 	 * @param entity
 	 * @param version
 	 *            OPTIONAL used to ensure that no one else has updated the
-	 *            schema since it was retrieved
+	 *            schema since it was retrieved - if the version does not match,
+	 *            then the promise is rejected with a VersionConflictError
 	 * @param updatedBy
 	 *            OPTIONAL
+	 * @param upsert
+	 *            OPTIONAL - Boolean - Default is false - enables upsert mode
+	 * @param createdBy
+	 *            OPTIONAL - upsert mode only - Default is updatedBy
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
 	 * @return Promise - If successful, the returned object has the following
 	 *         properties:
 	 * 
@@ -293,21 +1868,26 @@
 	 *	  "_index": "index_name",
 	 *	  "_type": "type_name",
 	 *	  "_id": "4dfa9961b2a74ed78b3b34fbdcf0e7a9",
-	 *	  "_version": 2
+	 *	  "_version": 2,
+	 *	  "created": false		// upsert mode only - true if the Entity was created
 	 *	}
 	 * </code>
 	 */
-	EntityDatabase.prototype.setEntity = function(params,refresh) {
+	EntityDatabase.prototype.setEntity = function(params, refresh, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
-			var err = joi.validate(params, updateEntityParamsSchema);
+			var err = joi.validate(params, setEntityParamsSchema);
 			if (err) {
-				reject(err);
+				reject(validationError(self, err));
+				return;
+			}
+			if (!lodash.isUndefined(params.upsert) && !lodash.isBoolean(params.upsert)) {
+				reject(validationError(self, 'upsert must be a Boolean', params.entity.id));
 				return;
 			}
 
 			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
-				reject(new Error('refresh must be a Boolean'));
+				reject(validationError(self, 'refresh must be a Boolean', params.entity.id));
 				return;
 			}
 
@@ -315,62 +1895,500 @@
 			try {
 				newEntity = new self.Entity(params.entity);
 			} catch (error) {
-				error.code = 'INVALID_OBJ_SCHEMA';
-				reject(error);
+				reject(validationError(self, error, params.entity.id));
 				return;
 			}
 
 			extend(newEntity,params.entity);
 
+			if (params.upsert) {
+				when(sendUpdate(self, 'setEntity', {
+					id : newEntity.id,
+					script : SET_ENTITY_SCRIPT,
+					params : {
+						entitySource : lodash.omit(newEntity, 'createdOn', 'createdBy')
+					},
+					upsert : newEntity,
+					version : params.version,
+					updatedBy : params.updatedBy,
+					createdBy : params.createdBy
+				}, refresh, options), resolve, reject);
+				return;
+			}
+
 			newEntity.updated(params.updatedBy);
 
-			var doc = self.ejs.Document(self.index, self.type, newEntity.id);
-			doc.source(newEntity);
-			if (params.version) {
-				doc.version(params.version);
+			var index = function(version) {
+				var doc = self.ejs.Document(self.index, self.type, newEntity.id);
+				doc.source(newEntity);
+				if (version) {
+					doc.version(version);
+				}
+				doc.refresh(!!refresh);
+				var buffered = bufferWrite(self, {
+					index : {
+						entity : newEntity,
+						version : version,
+						updatedBy : params.updatedBy
+					}
+				}, refresh, options);
+				if (buffered) {
+					when(buffered, resolve, reject);
+					return;
+				}
+
+				sendRequest(self, 'setEntity', options, function() {
+					doc.doIndex(checkElasticsearchResult.bind(null, self, newEntity.id, resolve, reject), rejectTransportError(self, newEntity.id, reject));
+				});
+			};
+
+			if (self.history) {
+				when(saveHistory(self, 'setEntity', newEntity.id, options), function(savedVersion) {
+					index(params.version || savedVersion);
+				}, reject);
+				return;
 			}
-			doc.refresh(!!refresh);
-			doc.doIndex(checkElasticsearchResult.bind(null, resolve, reject), reject);
+			index(params.version);
+		});
+
+	};
+
+	var modifyEntityOptionsSchema = {
+		maxRetries : joi.types.Number().integer().min(0),
+		updatedBy : joi.types.String(),
+		refresh : joi.types.Boolean()
+	};
+
+	/**
+	 * Read-modify-write helper that uses optimistic concurrency control. The
+	 * Entity is retrieved along with its version, and passed to fn. The
+	 * modified Entity is then saved using the version. If someone else updated
+	 * the Entity in the meantime, i.e., there is a version conflict, then the
+	 * whole cycle is retried.
+	 *
+	 * @param id
+	 *            REQUIRED - Entity id
+	 * @param fn
+	 *            REQUIRED - function(entity) - modifies the Entity, which is
+	 *            constructed using the entityConstructor. It may return the
+	 *            modified Entity, or a promise for it. fn may be invoked more
+	 *            than once, and should not have side effects.
+	 * @param options
+	 *
+	 * <code>
+	 * {
+	 *   maxRetries : 3,			// OPTIONAL - Default is 3 - max number of retries on version conflicts
+	 *   updatedBy : 'user_id',		// OPTIONAL
+	 *   refresh : false,			// OPTIONAL - Default is false - see setEntity()
+	 *   timeout : 5000,			// OPTIONAL - request option - applies to each request
+	 *   cancellation : cancellation	// OPTIONAL - request option
+	 * }
+	 * </code>
+	 * @return Promise - If successful, the setEntity() response is returned.
+	 *         If the retries are exhausted, then the promise is rejected with
+	 *         a VersionConflictError, whose cause is the last conflict. If the
+	 *         Entity does not exist, then the promise is rejected with a
+	 *         NotFoundError.
+	 */
+	EntityDatabase.prototype.modifyEntity = function(id, fn, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			if (!lodash.isString(id)) {
+				reject(validationError(self, 'id is required and must be a String'));
+				return;
+			}
+			if (!lodash.isFunction(fn)) {
+				reject(validationError(self, 'fn is required and must be a Function', id));
+				return;
+			}
+
+			options = options || {};
+			var err = joi.validate(lodash.omit(options, 'timeout', 'cancellation'), modifyEntityOptionsSchema);
+			if (err) {
+				reject(validationError(self, err, id));
+				return;
+			}
+			if (!lodash.isUndefined(options.refresh) && !lodash.isBoolean(options.refresh)) {
+				reject(validationError(self, 'refresh must be a Boolean', id));
+				return;
+			}
+
+			var maxRetries = lodash.isNumber(options.maxRetries) ? options.maxRetries : 3;
+			var requestOptions = lodash.pick(options, 'timeout', 'cancellation');
+			var retries = 0;
+
+			var modify = function() {
+				return when(self.getEntity(id, requestOptions), function(result) {
+					var entity = new self.Entity(result._source);
+					extend(entity, result._source);
+					return when(fn(entity), function(modifiedEntity) {
+						return self.setEntity({
+							entity : lodash.isObject(modifiedEntity) ? modifiedEntity : entity,
+							version : result._version,
+							updatedBy : options.updatedBy
+						}, !!options.refresh, requestOptions);
+					});
+				});
+			};
+
+			var attempt = function() {
+				when(modify(), resolve, function(error) {
+					if (!(error instanceof errors.VersionConflictError)) {
+						reject(error);
+						return;
+					}
+					if (retries >= maxRetries) {
+						reject(new errors.VersionConflictError('Entity was modified concurrently - version conflict after ' + retries + ' retries : ' + id,
+								errorDetails(self, id, {
+									status : error.status,
+									response : error.response,
+									cause : error
+								})));
+						return;
+					}
+					retries++;
+					log.debug('modifyEntity(): version conflict - retry #' + retries + ' : ' + id);
+					attempt();
+				});
+			};
+
+			attempt();
 		});
+	};
+
+	/**
+	 * Applies a partial update to an existing Entity using the elasticsearch
+	 * update API, i.e., the Entity is not retrieved and re-sent as a whole.
+	 *
+	 * The updatedOn will be set to the current time, and updatedBy will be
+	 * set if specified - the same fields that Entity.updated() sets.
+	 *
+	 * @param params
+	 *
+	 * <code>
+	 * {
+	 *   id : 'entity_id',					// REQUIRED
+	 *   doc : { name : 'new name' },		// MUTUAL - partial document that is merged into the Entity - either 'doc' or 'script' is required
+	 *   script : 'ctx._source.count += n',	// MUTUAL - update script
+	 *   params : { n : 1 },				// OPTIONAL - script params
+	 *   lang : 'mvel',						// OPTIONAL - script language
+	 *   version : 2,						// OPTIONAL - used to ensure that no one else has updated the Entity since it was retrieved
+	 *   updatedBy : 'user_id',				// OPTIONAL
+	 *   upsert : { name : 'name' },		// OPTIONAL - Entity that is created if the Entity does not exist - its createdOn is set to the current time
+	 *   createdBy : 'user_id',				// OPTIONAL - upsert only - Default is updatedBy
+	 *   retryOnConflict : 3				// OPTIONAL - number of times elasticsearch retries the update on a version conflict - cannot be combined with version
+	 * }
+	 * </code>
+	 * @param refresh
+	 *            OPTIONAL - Enables the index to be refreshed immediately after
+	 *            the operation occurs.
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
+	 * @return Promise - If successful, the returned object has the following
+	 *         properties:
+	 *
+	 * <code>
+	 *  {
+	 *	  "ok": true,
+	 *	  "_index": "index_name",
+	 *	  "_type": "type_name",
+	 *	  "_id": "4dfa9961b2a74ed78b3b34fbdcf0e7a9",
+	 *	  "_version": 3,
+	 *	  "created": false		// only if upsert is specified - true if the upsert Entity was created
+	 *	}
+	 * </code>
+	 *
+	 * If the Entity does not exist, and no upsert document is specified, then
+	 * the promise is rejected with a NotFoundError. If the version does not
+	 * match, then the promise is rejected with a VersionConflictError.
+	 */
+	EntityDatabase.prototype.updateEntity = function(params, refresh, options) {
+		return sendUpdate(this, 'updateEntity', params, refresh, options);
+	};
+
+	/**
+	 * Sends a mix of create, index, update, and delete operations in a single
+	 * bulk request. Entities are validated using the entityConstructor, and
+	 * updatedOn / updatedBy are set on index and update operations. Invalid
+	 * operations are not sent.
+	 *
+	 * @param operations
+	 *            REQUIRED - Array of operations, each having exactly one key:
+	 *
+	 * <code>
+	 * { create : entity }															// same as createEntity()
+	 * { index : { entity : entity, version : 2, updatedBy : 'user_id' } }			// same params as setEntity()
+	 * { update : { id : 'id', doc : { name : 'name' }, updatedBy : 'user_id' } }	// same params as updateEntity()
+	 * { delete : { id : 'id', version : 2, deletedBy : 'user_id' } }				// version is OPTIONAL - deletedBy is OPTIONAL and applies in soft delete mode
+	 * </code>
+	 *
+	 * In soft delete mode, delete operations soft delete the entities, the same
+	 * way deleteEntity() does. In history mode, only create operations are
+	 * supported, because the entities' history is not saved - otherwise, the
+	 * promise is rejected with a ValidationError.
+	 * 
+	 * @param refresh
+	 *            OPTIONAL - Enables the index to be refreshed immediately after
+	 *            the operation occurs.
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            which apply to each chunk, and bulk options:
+	 *
+	 * <code>
+	 * {
+	 *   chunkSize : 500,					// OPTIONAL - Default is 500 - max number of operations per bulk request
+	 *   chunkBytes : 5242880,				// OPTIONAL - Default is 5 MB - max bulk request payload size
+	 *   concurrency : 1,					// OPTIONAL - Default is 1 - max number of bulk requests sent at a time
+	 *   onProgress : function(progress){}	// OPTIONAL - invoked after each chunk completes - the progress is also emitted as a 'bulkProgress' event
+	 * }
+	 *
+	 * progress = {
+	 *   operation : 'bulk',				// EntityDatabase operation
+	 *   chunks : 10,
+	 *   completedChunks : 3,
+	 *   total : 5000,						// number of operations that are sent
+	 *   completed : 1500
+	 * }
+	 * </code>
+	 *
+	 * The operations are split into chunks. If a chunk fails, e.g., times out,
+	 * then no more chunks are sent, and the promise is rejected with the
+	 * chunk's EntityDatabaseError - the Error's chunk property is the chunk
+	 * index.
+	 * @return Promise - outcome per operation, in the same order as the
+	 *         operations:
+	 *
+	 * <code>
+	 * {
+	 *   errors : true,			// true if any operation failed
+	 *   items : [
+	 *     { action : 'create', id : 'id1', ok : true, version : 1 },
+	 *     { action : 'update', id : 'id2', ok : false, conflict : true, error : 'VersionConflictEngineException[...]' },
+	 *     { action : 'index', id : 'id3', ok : false, invalid : true, error : err },	// failed validation and was not sent - err is a ValidationError
+	 *     { action : 'delete', id : 'id4', ok : true, version : 3, found : true }
+	 *   ]
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.bulk = function(operations, refresh, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			if (!lodash.isArray(operations)) {
+				reject(validationError(self, 'operations is required to be an Array'));
+				return;
+			}
+
+			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
+				reject(validationError(self, 'refresh must be a Boolean'));
+				return;
+			}
+
+			var onlyCreates = lodash.every(operations, function(operation) {
+				return lodash.isObject(operation) && lodash.isEqual(lodash.keys(operation), [ 'create' ]);
+			});
+			var err = onlyCreates ? undefined : bulkHistoryError(self, 'bulk');
+			if (err) {
+				reject(err);
+				return;
+			}
 
+			if (log.isDebugEnabled()) {
+				log.debug('bulk():\n' + JSON.stringify(operations, undefined, 2));
+			}
+
+			when(executeBulk(self, 'bulk', operations, refresh, options), resolve, reject);
+		});
 	};
 
 	/**
 	 * 
 	 * @param ids
 	 *            REQUIRED - Array of entity ids.
-	 * @return Promise
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            hydrate : Boolean, and includeDeleted : Boolean - see
+	 *            getEntity()
+	 * @return Promise - the elasticsearch multi get response, where missing
+	 *         lists the ids that were not found, or are soft deleted - the
+	 *         docs still include the soft deleted entities. If hydrate is
+	 *         true, then the
+	 *         entities are returned instead, constructed using the
+	 *         entityConstructor, with their _version set as a non-enumerable
+	 *         property:
 	 * 
+	 * <code>
+	 * {
+	 *   entities : [ entity ],		// in the same order as the ids
+	 *   missing : [ 'id' ]
+	 * }
+	 * </code>
 	 */
-	EntityDatabase.prototype.getEntities = function(ids) {
+	EntityDatabase.prototype.getEntities = function(ids, options) {
 		var self = this;
 		var ejs = this.ejs;
 		return when.promise(function(resolve, reject) {
 			try {
-				validateIdsArray(ids);
+				validateIdsArray(self, ids);
 			} catch (error) {
 				reject(error);
 				return;
 			}
 
+			var read = readOptions(self, options);
+
 			/*
 			 * elastic.js does not support the elasticsearch's multi get api, so
 			 * let's make the HTTP request ourselves
 			 */
-			ejs.client.post('/' + self.index + '/' + self.type + '/_mget', JSON.stringify({
-				ids : ids
-			}), resolve, reject);
+			sendRequest(self, 'getEntities', read.requestOptions, function() {
+				ejs.client.post('/' + self.index + '/' + self.type + '/_mget', JSON.stringify({
+					ids : ids
+				}), function(result) {
+					if (result.error) {
+						reject(responseError(self, result));
+						return;
+					}
+
+					var found = lodash.filter(result.docs, function(doc) {
+						return (doc.exists || doc.found) && !(excludeDeleted(self, read) && isDeleted(doc));
+					});
+					var missing = lodash.difference(ids, lodash.pluck(found, '_id'));
+					if (read.hydrate) {
+						resolveHydrated(resolve, reject, function() {
+							return {
+								entities : lodash.map(found, function(doc) {
+									return hydrate(self, doc);
+								}),
+								missing : missing
+							};
+						});
+					} else {
+						result.missing = missing;
+						resolve(result);
+					}
+				}, rejectTransportError(self, undefined, reject));
+			});
 		});
 	};
 
 	/**
-	 * 
+	 * Checks if the Entity exists using a HEAD request, i.e., the Entity's
+	 * source is not retrieved. The ejs client must be an
+	 * ElasticSearchClient's client, because elastic.js' own clients do not
+	 * report the HEAD response status.
+	 *
+	 * @param id
+	 *            REQUIRED
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
+	 * @return Promise - true if the Entity exists
+	 */
+	EntityDatabase.prototype.entityExists = function(id, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			if (!lodash.isString(id)) {
+				reject(validationError(self, 'id is required and must be a String'));
+				return;
+			}
+
+			if (!self.ejs.client || !lodash.isFunction(self.ejs.client.withRequestOptions)) {
+				reject(validationError(self, 'entityExists() requires the ejs client to be an ElasticSearchClient\'s client', id));
+				return;
+			}
+
+			var path = '/' + self.index + '/' + self.type + '/' + encodeURIComponent(id);
+			sendRequest(self, 'entityExists', options, function() {
+				self.ejs.client.head(path, {}, function(headers, status) {
+					if (status === 200) {
+						resolve(true);
+					} else if (status === 404) {
+						resolve(false);
+					} else {
+						reject(new errors.TransportError('Unexpected HTTP status for HEAD ' + path + ' : ' + status, errorDetails(self, id, {
+							status : status,
+							headers : headers
+						})));
+					}
+				}, rejectTransportError(self, id, reject));
+			});
+		});
+	};
+
+	/**
+	 * Checks which entities exist using a multi get request, where only the
+	 * entities' ids are requested, i.e., the entities' source is not
+	 * retrieved.
+	 *
+	 * @param ids
+	 *            REQUIRED - Array of entity ids.
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
+	 * @return Promise - Object that maps each id to a Boolean, e.g.,
+	 *
+	 * <code>
+	 * {
+	 *   "4dfa9961b2a74ed78b3b34fbdcf0e7a9" : true,
+	 *   "11e55d7a4a6442778db5f7ab557f97d6" : false
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.existsMany = function(ids, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			try {
+				validateIdsArray(self, ids);
+			} catch (error) {
+				reject(error);
+				return;
+			}
+
+			if (ids.length === 0) {
+				resolve({});
+				return;
+			}
+
+			/*
+			 * elastic.js does not support the elasticsearch's multi get api, so
+			 * let's make the HTTP request ourselves
+			 */
+			sendRequest(self, 'existsMany', options, function() {
+				self.ejs.client.post('/' + self.index + '/' + self.type + '/_mget?fields=_id', JSON.stringify({
+					ids : ids
+				}), function(result) {
+					if (result.error) {
+						reject(responseError(self, result));
+						return;
+					}
+
+					var exists = {};
+					lodash.forEach(ids, function(id) {
+						exists[id] = false;
+					});
+					lodash.forEach(result.docs, function(doc) {
+						if (doc.exists || doc.found) {
+							exists[doc._id] = true;
+						}
+					});
+					resolve(exists);
+				}, rejectTransportError(self, undefined, reject));
+			});
+		});
+	};
+
+	/**
+	 * In soft delete mode, the Entity's deletedOn and deletedBy are set
+	 * instead, using a partial update - if the Entity is already soft deleted,
+	 * then they are left as is.
 	 * 
 	 * @param id
 	 * @param refresh
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            and deletedBy : String - soft delete mode only
 	 * @return Promise
 	 * 
-	 * sample response:
+	 * sample response - in soft delete mode, it is the update response, along
+	 * with found:
 	 * 
 	 * <code>
 	 *  {
@@ -383,22 +2401,73 @@
 	 *	}
 	 * </code>
 	 */
-	EntityDatabase.prototype.deleteEntity = function(id,refresh) {
+	EntityDatabase.prototype.deleteEntity = function(id, refresh, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			if (!lodash.isString(id)) {
-				reject(new Error('id is required and must be a String'));
+				reject(validationError(self, 'id is required and must be a String'));
+				return;
+			}
+
+			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
+				reject(validationError(self, 'refresh must be a Boolean', id));
+				return;
+			}
+
+			var del;
+			try {
+				del = deleteOptions(self, options);
+			} catch (err) {
+				reject(err);
+				return;
+			}
+
+			if (self.softDelete) {
+				when(sendUpdate(self, 'deleteEntity', softDeleteParams(id, del.deletedBy), refresh, del.requestOptions), function(result) {
+					result.found = true;
+					resolve(result);
+				}, function(err) {
+					if (err instanceof errors.NotFoundError) {
+						resolve({
+							ok : true,
+							found : false,
+							_index : self.index,
+							_type : self.type,
+							_id : id
+						});
+						return;
+					}
+					reject(err);
+				});
 				return;
 			}
 
-			if (!lodash.isUndefined(refresh) && !lodash.isBoolean(refresh)) {
-				reject(new Error('refresh must be a Boolean'));
+			var remove = function(version) {
+				var buffered = bufferWrite(self, {
+					"delete" : {
+						id : id
+					}
+				}, refresh, del.requestOptions);
+				if (buffered) {
+					when(buffered, resolve, reject);
+					return;
+				}
+
+				var doc = self.ejs.Document(self.index, self.type, id);
+				if (version) {
+					doc.version(version);
+				}
+				doc.refresh(!!refresh);
+				sendRequest(self, 'deleteEntity', del.requestOptions, function() {
+					doc.doDelete(checkElasticsearchResult.bind(null, self, id, resolve, reject), rejectTransportError(self, id, reject));
+				});
+			};
+
+			if (self.history) {
+				when(saveHistory(self, 'deleteEntity', id, del.requestOptions), remove, reject);
 				return;
 			}
-
-			var doc = self.ejs.Document(self.index, self.type, id);
-			doc.refresh(!!refresh);
-			doc.doDelete(resolve, reject);
+			remove();
 		});
 	};
 
@@ -408,7 +2477,15 @@
 	 * @param ids
 	 *            REQUIRED - Array of entity ids.
 	 * 
-	 * @return Promise where the result is elasticsearch response
+	 * @param options
+	 *            OPTIONAL - request options and bulk options - see bulk() -
+	 *            and deletedBy : String - soft delete mode only
+	 * @return Promise where the result is elasticsearch response - if the ids
+	 *         were sent in multiple chunks, then the chunk responses are merged.
+	 *         In soft delete mode, the entities are soft deleted using bulk
+	 *         update operations - see deleteEntity() - i.e., the items are
+	 *         update items. In history mode, the promise is rejected with a
+	 *         ValidationError, because the entities' history is not saved.
 	 * 
 	 * sample response:
 	 * 
@@ -441,52 +2518,284 @@
 	 *
 	 * </code>
 	 */
-	EntityDatabase.prototype.deleteEntities = function(ids) {
+	EntityDatabase.prototype.deleteEntities = function(ids, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			if (!lodash.isArray(ids)) {
-				reject(new Error('ids is required to be an Array'));
+				reject(validationError(self, 'ids is required to be an Array'));
 				if (log.isDebugEnabled()) {
 					log.debug('deleteEntities(): ids is not an array\n' + JSON.stringify(ids, undefined, 2));
 				}
 				return;
 			}
 
+			var err = bulkHistoryError(self, 'deleteEntities');
+			if (err) {
+				reject(err);
+				return;
+			}
+
 			if (ids.length === 0) {
 				resolve();
 				return;
 			}
 
-			validateIdsArray(ids);
+			validateIdsArray(self, ids);
+			var del = deleteOptions(self, options);
 
 			if (log.isDebugEnabled()) {
 				log.debug('ids():\n' + JSON.stringify(ids, undefined, 2));
 			}
 
-			var payload = lodash.foldl(ids, function(payload, id) {
-				payload += JSON.stringify({
+			var requests = ids.map(function(id) {
+				if (self.softDelete) {
+					return bulkRequest(self, {
+						update : softDeleteParams(id, del.deletedBy)
+					});
+				}
+				return bulkRequest(self, {
 					"delete" : {
-						_index : self.index,
-						_type : self.type,
-						_id : id
+						id : id
 					}
 				});
-				payload += '\n';
-				return payload;
-			}, '');
+			});
 
-			/*
-			 * elastic.js does not support the elasticsearch's bulk api, so
-			 * let's make the HTTP request ourselves
-			 */
-			self.ejs.client.post('/' + self.index + '/' + self.type + '/_bulk', payload, resolve, reject);
+			when(sendBulkChunks(self, 'deleteEntities', requests, false, del.requestOptions || {}), function(results) {
+				// the chunk responses are merged into a single response
+				resolve(lodash.foldl(results, function(merged, result) {
+					merged.took += result.response.took;
+					merged.items = merged.items.concat(result.response.items);
+					return merged;
+				}, {
+					took : 0,
+					items : []
+				}));
+			}, reject);
+		});
+	};
+
+	/**
+	 * Restores a soft deleted Entity, i.e., its deletedOn and deletedBy are
+	 * removed using a partial update, and its updatedOn is set to the current
+	 * time - soft delete mode only.
+	 * 
+	 * @param id
+	 *            REQUIRED
+	 * @param refresh
+	 *            OPTIONAL - Enables the index to be refreshed immediately after
+	 *            the operation occurs.
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
+	 * @return Promise - the update response - see updateEntity(). If the
+	 *         Entity does not exist, then the promise is rejected with a
+	 *         NotFoundError. If soft delete mode is not enabled, then the
+	 *         promise is rejected with a ValidationError.
+	 */
+	EntityDatabase.prototype.restoreEntity = function(id, refresh, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			if (!self.softDelete) {
+				reject(validationError(self, 'soft delete mode is not enabled', id));
+				return;
+			}
+			if (!lodash.isString(id)) {
+				reject(validationError(self, 'id is required and must be a String'));
+				return;
+			}
+
+			when(sendUpdate(self, 'restoreEntity', {
+				id : id,
+				script : RESTORE_ENTITY_SCRIPT
+			}, refresh, options), resolve, reject);
+		});
+	};
+
+	var entityHistoryOptionsSchema = {
+		from : joi.types.Number().integer().min(0),
+		pageSize : joi.types.Number().integer().min(1)
+	};
+
+	/**
+	 * Retrieves the Entity's previous versions from the history type - history
+	 * mode only. The current version is not included - see getEntity().
+	 * 
+	 * @param id
+	 *            REQUIRED
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            and paging options:
+	 * 
+	 * <code>
+	 * {
+	 *   from : 0,				// OPTIONAL - Default is 0
+	 *   pageSize : 100			// OPTIONAL - Default is 100 - max number of versions returned
+	 * }
+	 * </code>
+	 * @return Promise - the versions, sorted by version descending, i.e.,
+	 *         latest first. Each entity is constructed using the
+	 *         entityConstructor, with its _version set as a non-enumerable
+	 *         property.
+	 * 
+	 * <code>
+	 * {
+	 *   total : 3,
+	 *   versions : [
+	 *     { version : 3, savedOn : '2013-10-26T00:31:45.754Z', entity : entity }
+	 *   ]
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.getEntityHistory = function(id, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			var err = validateHistoryArgs(self, id, []);
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			options = options || {};
+			err = joi.validate(lodash.pick(options, 'from', 'pageSize'), entityHistoryOptionsSchema);
+			if (err) {
+				reject(validationError(self, err, id));
+				return;
+			}
+
+			var request = self.ejs.Request({
+				indices : self.history.index,
+				types : self.history.type
+			});
+			request.query(self.ejs.FilteredQuery(self.ejs.MatchAllQuery(), self.ejs.TermFilter('entityId', id)));
+			request.sort('version', 'desc');
+			request.from(options.from || 0);
+			request.size(options.pageSize || 100);
+			sendRequest(self, 'getEntityHistory', lodash.omit(options, 'from', 'pageSize'), function() {
+				request.doSearch(function(result) {
+					if (result.error && result.status === 404) {
+						// the history index does not exist if no version was saved yet
+						resolve({
+							total : 0,
+							versions : []
+						});
+					} else if (result.error) {
+						reject(responseError(self, result, id));
+					} else {
+						resolveHydrated(resolve, reject, function() {
+							return {
+								total : result.hits.total,
+								versions : lodash.map(result.hits.hits, function(hit) {
+									return {
+										version : hit._source.version,
+										savedOn : hit._source.savedOn,
+										entity : hydrate(self, {
+											_id : id,
+											_source : hit._source.entity,
+											_version : hit._source.version
+										})
+									};
+								})
+							};
+						});
+					}
+				}, rejectTransportError(self, id, reject));
+			});
+		});
+	};
+
+	/**
+	 * Retrieves the Entity as it was at the specified version - history mode
+	 * only.
+	 * 
+	 * @param id
+	 *            REQUIRED
+	 * @param version
+	 *            REQUIRED - the Entity's _version - either a previous version
+	 *            or the current version
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation
+	 * @return Promise - the Entity, constructed using the entityConstructor,
+	 *         with its _version set as a non-enumerable property. If the
+	 *         version does not exist, then the promise is rejected with a
+	 *         NotFoundError.
+	 */
+	EntityDatabase.prototype.getEntityAtVersion = function(id, version, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			var err = validateHistoryArgs(self, id, [ version ]);
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			when(getVersion(self, 'getEntityAtVersion', id, version, options), function(result) {
+				resolveHydrated(resolve, reject, function() {
+					return hydrate(self, {
+						_id : id,
+						_source : result.source,
+						_version : result.version
+					});
+				});
+			}, reject);
+		});
+	};
+
+	/**
+	 * Compares two versions of the Entity field by field - history mode only.
+	 * Nested objects are compared field by field, and their fields are
+	 * identified by their path, e.g., 'address.city'. Any other values, e.g.,
+	 * Arrays, are compared as a whole.
+	 * 
+	 * @param id
+	 *            REQUIRED
+	 * @param fromVersion
+	 *            REQUIRED - either a previous version or the current version
+	 * @param toVersion
+	 *            REQUIRED - either a previous version or the current version
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            which apply to each request
+	 * @return Promise - the changes, sorted by field. If either version does
+	 *         not exist, then the promise is rejected with a NotFoundError.
+	 * 
+	 * <code>
+	 * {
+	 *   id : 'entity_id',
+	 *   fromVersion : 1,
+	 *   toVersion : 3,
+	 *   changes : [
+	 *     { field : 'address.city', change : 'changed', from : 'Rome', to : 'Paris' },
+	 *     { field : 'nickname', change : 'added', to : 'Bob' },
+	 *     { field : 'tags', change : 'removed', from : [ 'a' ] }
+	 *   ]
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.diffEntityVersions = function(id, fromVersion, toVersion, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			var err = validateHistoryArgs(self, id, [ fromVersion, toVersion ]);
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			when.all([ getVersion(self, 'diffEntityVersions', id, fromVersion, options), getVersion(self, 'diffEntityVersions', id, toVersion, options) ], function(results) {
+				resolve({
+					id : id,
+					fromVersion : fromVersion,
+					toVersion : toVersion,
+					changes : diffSources(results[0].source, results[1].source)
+				});
+			}, reject);
 		});
 	};
 
-	EntityDatabase.prototype.refreshIndex = function(){
+	EntityDatabase.prototype.refreshIndex = function(options){
 		var self = this;
 		return when.promise(function(resolve, reject) {			
-			self.ejs.client.post('/' + self.index + '/_refresh', '', resolve, reject);
+			sendRequest(self, 'refreshIndex', options, function() {
+				self.ejs.client.post('/' + self.index + '/_refresh', '', checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});
 	};
 
@@ -522,12 +2831,12 @@
 	 * 
 	 * @param {Object}schema
 	 *            Joi schema used to validate the searchParams. If validation
-	 *            fails, an error is thrown.
+	 *            fails, a ValidationError is thrown.
 	 */
 	EntityDatabase.prototype.newSearchRequest = function(searchParams, schema, filter) {
 		var err = joi.validate(searchParams, schema);
 		if (err) {
-			throw err;
+			throw validationError(this, err);
 		}
 
 		var request = this.request();
@@ -714,8 +3023,24 @@
 	 *   regexFlags		OPTIONAL - Allows you to set the regular expression flags to be used with the regex
 	 * }
 	 * </code>
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            includeDeleted : Boolean - soft delete mode only - if true,
+	 *            then soft deleted entities are included, and hydrate :
+	 *            Boolean - if true, then the search hits are returned as
+	 *            entities, constructed using the entityConstructor, with their
+	 *            _version and _score set as non-enumerable properties:
+	 * 
+	 * <code>
+	 * {
+	 *   total : 100,
+	 *   maxScore : 1,
+	 *   entities : [ entity ],
+	 *   facets : {}		// if requested
+	 * }
+	 * </code>
 	 */
-	EntityDatabase.prototype.findByField = function(params) {
+	EntityDatabase.prototype.findByField = function(params, options) {
 		if(log.isDebugEnabled()){
 			log.debug('findByField() : params : ' + JSON.stringify(params,undefined,2));
 		}		
@@ -747,13 +3072,27 @@
 		}
 
 		return when.promise(function(resolve, reject) {			
-			var filter = createFilter();
+			if (!lodash.isObject(params)) {
+				reject(validationError(self, 'params is required'));
+				return;
+			}
+			var read = readOptions(self, options);
+			if (read.hydrate && lodash.isUndefined(searchParams.version)) {
+				searchParams.version = true;
+			}
+			var filter = excludeDeleted(self, read) ? notDeletedFilter(self, createFilter()) : createFilter();
 			var request = self.newSearchRequest(searchParams, findByFieldParamsSchema,filter);	
 			request.filter(filter);					
 			if(log.isDebugEnabled()){
 				log.debug('findByField() : request : ' + request);
 			}
-			request.doSearch(checkElasticsearchResult.bind(null, resolve, reject), reject);
+			sendRequest(self, 'findByField', read.requestOptions, function() {
+				request.doSearch(checkElasticsearchResult.bind(null, self, undefined, function(result) {
+					resolveHydrated(resolve, reject, function() {
+						return read.hydrate ? hydrateSearchResult(self, result) : result;
+					});
+				}, reject), rejectTransportError(self, undefined, reject));
+			});
 		});
 	};
 
@@ -817,8 +3156,24 @@
 	 *   regexFlags		OPTIONAL - Allows you to set the regular expression flags to be used with the regex
 	 * }
 	 * </code>
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            includeDeleted : Boolean - soft delete mode only - if true,
+	 *            then soft deleted entities are included, and hydrate :
+	 *            Boolean - if true, then the search hits are returned as
+	 *            entities, constructed using the entityConstructor, with their
+	 *            _version and _score set as non-enumerable properties:
+	 * 
+	 * <code>
+	 * {
+	 *   total : 100,
+	 *   maxScore : 1,
+	 *   entities : [ entity ],
+	 *   facets : {}		// if requested
+	 * }
+	 * </code>
 	 */
-	EntityDatabase.prototype.findAll = function(params) {
+	EntityDatabase.prototype.findAll = function(params, options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			var searchParams = {
@@ -839,55 +3194,360 @@
 				}
 			}
 
-			var request = self.newSearchRequest(searchParams, findAllParamsSchema);
-			request.filter(self.ejs.MatchAllFilter());
-			request.doSearch(checkElasticsearchResult.bind(null, resolve, reject), reject);
+			var read = readOptions(self, options);
+			if (read.hydrate && lodash.isUndefined(searchParams.version)) {
+				searchParams.version = true;
+			}
+			var filter = excludeDeleted(self, read) ? notDeletedFilter(self) : undefined;
+			var request = self.newSearchRequest(searchParams, findAllParamsSchema, filter);
+			request.filter(filter || self.ejs.MatchAllFilter());
+			sendRequest(self, 'findAll', read.requestOptions, function() {
+				request.doSearch(checkElasticsearchResult.bind(null, self, undefined, function(result) {
+					resolveHydrated(resolve, reject, function() {
+						return read.hydrate ? hydrateSearchResult(self, result) : result;
+					});
+				}, reject), rejectTransportError(self, undefined, reject));
+			});
+		});
+
+	};
+
+	/**
+	 * Deletes the entities that match the filter using an elasticsearch delete
+	 * by query request. The matching entities are counted first, because the
+	 * delete by query response does not report how many documents were deleted,
+	 * i.e., entities that are indexed in between are deleted, but not counted.
+	 * 
+	 * In soft delete mode, the entities are not removed. Instead, the matching
+	 * entities that are not soft deleted yet are scanned, and soft deleted in
+	 * batches using bulk requests - see deleteEntity(). Soft deleted entities
+	 * are neither matched nor counted.
+	 * 
+	 * In history mode, only dry runs are supported, because the deleted
+	 * entities' history is not saved - otherwise, the promise is rejected with
+	 * a ValidationError.
+	 * 
+	 * @param filter
+	 *            REQUIRED - elastic.js Filter, e.g., ejs.TermFilter('field',
+	 *            'value'), or newRangeFilter(params)
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            which apply to each request, dryRun : Boolean - Default is
+	 *            false - if true, then the entities are only counted, and
+	 *            deletedBy : String - soft delete mode only
+	 * @return Promise - In soft delete mode, if a batch request fails, then the
+	 *         promise is rejected, and the batches that were already soft
+	 *         deleted are not restored.
+	 * 
+	 * <code>
+	 * {
+	 *   matched : 10,		// number of entities that matched the filter
+	 *   deleted : 10,		// number of entities that were deleted - 0 in dry run mode
+	 *   failures : [		// soft delete mode only - entities that failed to be soft deleted, e.g., because of a version conflict
+	 *     { id : 'id1', error : 'VersionConflictEngineException[...]' }
+	 *   ]
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.deleteByQuery = function(filter, options) {
+		return deleteByQuery(this, 'deleteByQuery', filter, options);
+	};
+
+	var fieldFilterParamsSchema = lodash.pick(findByFieldParamsSchema, 'field', 'value', 'range');
+
+	/**
+	 * Validates the field params - see deleteByField() - and creates the filter
+	 * the same way findByField() does.
+	 * 
+	 * If the params are invalid, then a ValidationError is thrown.
+	 */
+	var fieldFilter = function fieldFilter(db, params) {
+		var err = joi.validate(params, fieldFilterParamsSchema);
+		if (err) {
+			throw validationError(db, err);
+		}
+		if (lodash.isUndefined(params.value) === lodash.isUndefined(params.range)) {
+			throw validationError(db, 'either value or range is required, but not both');
+		}
+		return lodash.isUndefined(params.value) ? db.newRangeFilter(params) : db.ejs.TermFilter(params.field, params.value);
+	};
+
+	/**
+	 * Deletes the entities whose field matches the value or range - see
+	 * deleteByQuery()
+	 * 
+	 * @param {Object}params
+	 * 
+	 * <code>
+	 * field			REQUIRED - field name
+	 * value			MUTUAL - either 'value' or 'range' is required
+	 * range:{			MUTUAL - same as findByField()
+	 *   from			OPTIONAL - Object - The lower bound. Defaults to start from the first. Type depends on field type.
+	 *   to				OPTIONAL - Object - The upper bound. Defaults to unbounded. Type depends on field type
+	 *   includeLower	OPTIONAL - Should the first from (if set) be inclusive or not. Defaults to true
+	 * 	 includeUpper	OPTIONAL - Should the last to (if set) be inclusive or not. Defaults to true. 
+	 * }
+	 * </code>
+	 * @param options
+	 *            OPTIONAL - see deleteByQuery()
+	 * @return Promise - see deleteByQuery()
+	 */
+	EntityDatabase.prototype.deleteByField = function(params, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			var filter;
+			try {
+				filter = fieldFilter(self, params);
+			} catch (err) {
+				reject(err);
+				return;
+			}
+
+			when(deleteByQuery(self, 'deleteByField', filter, options), resolve, reject);
 		});
+	};
+
+	var updateByFieldSchema = {
+		doc : joi.types.Object().allowOtherKeys(),
+		script : joi.types.String(),
+		params : joi.types.Object().allowOtherKeys(),
+		lang : joi.types.String()
+	};
+
+	var updateByFieldOptionsSchema = {
+		batchSize : joi.types.Number().integer().min(1),
+		updatedBy : joi.types.String(),
+		retryOnConflict : joi.types.Number().integer().min(0),
+		refresh : joi.types.Boolean(),
+		includeDeleted : joi.types.Boolean()
+	};
+
+	/**
+	 * Applies a partial update to each Entity whose field matches the value or
+	 * range, i.e., the updateEntity() counterpart of deleteByField(). The
+	 * matching entities are scanned in batches, and each batch is updated using
+	 * a bulk request. The updatedOn will be set to the current time, and
+	 * updatedBy will be set if specified.
+	 * 
+	 * Elasticsearch retries an Entity's update up to retryOnConflict times if
+	 * the Entity is modified concurrently - the update is applied to the latest
+	 * version of the Entity. Entities that were deleted after the scan started
+	 * are reported as failed.
+	 * 
+	 * In soft delete mode, soft deleted entities are not updated, unless the
+	 * includeDeleted option is set. In history mode, the promise is rejected
+	 * with a ValidationError, because the entities' history is not saved.
+	 * 
+	 * @param params
+	 *            REQUIRED - field, and either value or range - see
+	 *            deleteByField()
+	 * @param update
+	 *            REQUIRED - same as updateEntity()
+	 * 
+	 * <code>
+	 * {
+	 *   doc : { status : 'ACTIVE' },		// MUTUAL - partial document that is merged into each Entity - either 'doc' or 'script' is required
+	 *   script : 'ctx._source.count += n',	// MUTUAL - update script
+	 *   params : { n : 1 },				// OPTIONAL - script params
+	 *   lang : 'mvel'						// OPTIONAL - script language
+	 * }
+	 * </code>
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            which apply to each request, and:
+	 * 
+	 * <code>
+	 * {
+	 *   batchSize : 500,				// OPTIONAL - Default is 500 - max number of entities per shard that are updated per batch
+	 *   updatedBy : 'user_id',			// OPTIONAL
+	 *   retryOnConflict : 3,			// OPTIONAL - Default is 3
+	 *   refresh : false,				// OPTIONAL - Default is false - Enables the index to be refreshed after each batch
+	 *   includeDeleted : false			// OPTIONAL - Default is false - soft delete mode only - if true, then soft deleted entities are updated as well
+	 * }
+	 * </code>
+	 * @return Promise - If a request fails, then the promise is rejected, and
+	 *         the batches that were already updated are not rolled back.
+	 *         Otherwise, the counts are returned:
+	 * 
+	 * <code>
+	 * {
+	 *   matched : 100,					// number of entities that matched when the scan started
+	 *   updated : 97,
+	 *   conflicted : 2,				// entities that were still modified concurrently after retryOnConflict retries
+	 *   failed : 1,
+	 *   failures : [					// the conflicted and failed updates
+	 *     { id : 'id1', error : 'VersionConflictEngineException[...]', conflict : true },
+	 *     { id : 'id2', error : 'DocumentMissingException[...]', conflict : false }
+	 *   ]
+	 * }
+	 * </code>
+	 */
+	EntityDatabase.prototype.updateByField = function(params, update, options) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			var filter;
+			try {
+				filter = fieldFilter(self, params);
+			} catch (error) {
+				reject(error);
+				return;
+			}
+
+			if (!lodash.isObject(update)) {
+				reject(validationError(self, 'update is required'));
+				return;
+			}
+			var err = joi.validate(update, updateByFieldSchema);
+			if (err) {
+				reject(validationError(self, err));
+				return;
+			}
+			if (!update.doc && !update.script) {
+				reject(validationError(self, 'either doc or script is required'));
+				return;
+			}
+			if (update.doc && update.script) {
+				reject(validationError(self, 'doc and script are mutually exclusive'));
+				return;
+			}
+
+			options = options || {};
+			err = joi.validate(lodash.omit(options, 'timeout', 'cancellation'), updateByFieldOptionsSchema);
+			if (err) {
+				reject(validationError(self, err));
+				return;
+			}
+			if (!lodash.isUndefined(options.refresh) && !lodash.isBoolean(options.refresh)) {
+				reject(validationError(self, 'refresh must be a Boolean'));
+				return;
+			}
+			if (!lodash.isUndefined(options.includeDeleted) && !lodash.isBoolean(options.includeDeleted)) {
+				reject(validationError(self, 'includeDeleted must be a Boolean'));
+				return;
+			}
+			err = bulkHistoryError(self, 'updateByField');
+			if (err) {
+				reject(err);
+				return;
+			}
+			if (self.softDelete && !options.includeDeleted) {
+				filter = notDeletedFilter(self, filter);
+			}
+
+			var batchSize = options.batchSize || 500;
+			var retryOnConflict = lodash.isNumber(options.retryOnConflict) ? options.retryOnConflict : 3;
+			var requestOptions = lodash.pick(options, 'timeout', 'cancellation');
+			var counts = {
+				matched : 0,
+				updated : 0,
+				conflicted : 0,
+				failed : 0,
+				failures : []
+			};
+
+			var updateBatch = function(ids) {
+				return when(executeBulk(self, 'updateByField', ids.map(function(id) {
+					return {
+						update : lodash.omit(extend({}, update, {
+							id : id,
+							updatedBy : options.updatedBy,
+							retryOnConflict : retryOnConflict || undefined
+						}), lodash.isUndefined)
+					};
+				}), !!options.refresh, extend({
+					chunkSize : batchSize
+				}, requestOptions)), function(result) {
+					lodash.forEach(result.items, function(item) {
+						if (item.ok) {
+							counts.updated++;
+							return;
+						}
+						if (item.conflict) {
+							counts.conflicted++;
+						} else {
+							counts.failed++;
+						}
+						counts.failures.push({
+							id : item.id,
+							error : item.error,
+							conflict : !!item.conflict
+						});
+					});
+				});
+			};
 
+			when(scanIds(self, 'updateByField', filter, batchSize, requestOptions, updateBatch), function(total) {
+				counts.matched = total;
+				resolve(counts);
+			}, reject);
+		});
 	};
-	
-	EntityDatabase.prototype.getCount = function() {
+
+	/**
+	 * 
+	 * @param options
+	 *            OPTIONAL - request options, i.e., timeout and cancellation,
+	 *            and includeDeleted : Boolean - soft delete mode only - if
+	 *            true, then soft deleted entities are counted
+	 * @return Promise - the elasticsearch count response
+	 */
+	EntityDatabase.prototype.getCount = function(options) {
 		var self = this;
 		return when.promise(function(resolve, reject) {
 			var request = self.request();
+			var read = readOptions(self, options);
+			var query = self.ejs.MatchAllQuery();
+			if (excludeDeleted(self, read)) {
+				query = self.ejs.FilteredQuery(query, notDeletedFilter(self));
+			}
 
-			request.query(self.ejs.MatchAllQuery()).doCount(resolve, reject);
+			sendRequest(self, 'getCount', read.requestOptions, function() {
+				request.query(query).doCount(checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});
 	};
 
-	EntityDatabase.prototype.getMapping = function(){
+	EntityDatabase.prototype.getMapping = function(options){
 		var self = this;
 		return when.promise(function(resolve,reject){
-			self.ejs.client.get('/' + self.index + '/' + self.type + '/_mapping', '',resolve, reject);	
+			sendRequest(self, 'getMapping', options, function() {
+				self.ejs.client.get('/' + self.index + '/' + self.type + '/_mapping', '', checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});		
 	};
 
-	EntityDatabase.prototype.setMapping = function(mapping){
+	EntityDatabase.prototype.setMapping = function(mapping, options){
 		var self = this;
 		return when.promise(function(resolve,reject){
 			if(!lodash.isObject(mapping)){
-				reject(new Error('mapping is required'));
+				reject(validationError(self, 'mapping is required'));
 				return;
 			}
-			self.ejs.client.post('/' + self.index + '/' + self.type + '/_mapping', JSON.stringify(mapping),resolve, reject);	
+			sendRequest(self, 'setMapping', options, function() {
+				self.ejs.client.post('/' + self.index + '/' + self.type + '/_mapping', JSON.stringify(mapping), checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});		
 	};
 
-	EntityDatabase.prototype.deleteIndex = function(){
+	EntityDatabase.prototype.deleteIndex = function(options){
 		var self = this;
 		return when.promise(function(resolve,reject){			
-			self.ejs.client.del('/' + self.index, '',resolve, reject);	
+			sendRequest(self, 'deleteIndex', options, function() {
+				self.ejs.client.del('/' + self.index, '', checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});		
 	};
 
-	EntityDatabase.prototype.createIndex = function(settings){
+	EntityDatabase.prototype.createIndex = function(settings, options){
 		var self = this;
 		return when.promise(function(resolve,reject){
 			if(!lodash.isObject(settings)){
-				reject(new Error('settings is required'));
+				reject(validationError(self, 'settings is required'));
 				return;
 			}
-			self.ejs.client.put('/' + self.index, JSON.stringify(settings),resolve, reject);	
+			sendRequest(self, 'createIndex', options, function() {
+				self.ejs.client.put('/' + self.index, JSON.stringify(settings), checkElasticsearchResult.bind(null, self, undefined, resolve, reject), rejectTransportError(self, undefined, reject));
+			});
 		});		
 	};
 
@@ -0,0 +1,144 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Errors that EntityDatabase operations are rejected with. Each error type has
+ * a stable code:
+ *
+ * <code>
+ * ValidationError			'VALIDATION_ERROR'	- the args are invalid, the Entity failed validation, or elasticsearch rejected the request (HTTP 400)
+ * NotFoundError			'NOT_FOUND'			- the Entity does not exist (HTTP 404)
+ * VersionConflictError		'VERSION_CONFLICT'	- the Entity's version did not match, or the Entity already exists (HTTP 409)
+ * TimeoutError				'TIMEOUT'			- the request timed out
+ * TransportError			'TRANSPORT_ERROR'	- the request failed for any other reason, e.g., the connection failed, or elasticsearch responded with any other error
+ * AbortedError				'ABORTED'			- the request was cancelled - extends TransportError
+ * CircuitOpenError			'CIRCUIT_OPEN'		- the request failed fast because the circuit breaker is open - extends TransportError
+ * ClientClosedError		'CLIENT_CLOSED'		- the request failed because the client is closed - extends TransportError
+ * </code>
+ *
+ * All of them extend EntityDatabaseError, and have the following properties -
+ * besides code, each property is only set if it applies:
+ *
+ * <code>
+ * {
+ *   code : 'NOT_FOUND',
+ *   index : 'index_name',
+ *   type : 'type_name',
+ *   id : 'entity_id',				// if the error applies to a single Entity
+ *   status : 404,					// HTTP status of the elasticsearch response
+ *   response : {},					// the elasticsearch response
+ *   cause : err					// the underlying Error, e.g., the socket error, or the cancellation Error whose code is 'ABORTED'
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var util = require('util');
+	var lodash = require('lodash');
+
+	var detailNames = [ 'index', 'type', 'id', 'status', 'response', 'cause' ];
+
+	/**
+	 *
+	 * @param message
+	 * @param details
+	 *            OPTIONAL - { index, type, id, status, response, cause }
+	 */
+	var EntityDatabaseError = function EntityDatabaseError(message, details) {
+		Error.call(this);
+		Error.captureStackTrace(this, this.constructor);
+		this.message = message;
+		lodash.forEach(detailNames, function(name) {
+			if (details && !lodash.isUndefined(details[name])) {
+				this[name] = details[name];
+			}
+		}, this);
+	};
+
+	util.inherits(EntityDatabaseError, Error);
+
+	EntityDatabaseError.prototype.name = 'EntityDatabaseError';
+
+	/**
+	 * Sets up an EntityDatabaseError subtype, i.e., its prototype chain, its
+	 * name, and its code. The constructor must call the ParentType's
+	 * constructor, and set the code on each instance.
+	 *
+	 * @param ErrorType
+	 *            named constructor - its name is the error's name
+	 * @param ParentType
+	 *            OPTIONAL - Default is EntityDatabaseError
+	 */
+	var defineError = function defineError(ErrorType, code, ParentType) {
+		util.inherits(ErrorType, ParentType || EntityDatabaseError);
+		ErrorType.prototype.name = ErrorType.name;
+		ErrorType.code = code;
+		return ErrorType;
+	};
+
+	var ValidationError = defineError(function ValidationError(message, details) {
+		EntityDatabaseError.call(this, message, details);
+		this.code = ValidationError.code;
+	}, 'VALIDATION_ERROR');
+
+	var NotFoundError = defineError(function NotFoundError(message, details) {
+		EntityDatabaseError.call(this, message, details);
+		this.code = NotFoundError.code;
+	}, 'NOT_FOUND');
+
+	var VersionConflictError = defineError(function VersionConflictError(message, details) {
+		EntityDatabaseError.call(this, message, details);
+		this.code = VersionConflictError.code;
+	}, 'VERSION_CONFLICT');
+
+	var TimeoutError = defineError(function TimeoutError(message, details) {
+		EntityDatabaseError.call(this, message, details);
+		this.code = TimeoutError.code;
+	}, 'TIMEOUT');
+
+	var TransportError = defineError(function TransportError(message, details) {
+		EntityDatabaseError.call(this, message, details);
+		this.code = TransportError.code;
+	}, 'TRANSPORT_ERROR');
+
+	var AbortedError = defineError(function AbortedError(message, details) {
+		TransportError.call(this, message, details);
+		this.code = AbortedError.code;
+	}, 'ABORTED', TransportError);
+
+	var CircuitOpenError = defineError(function CircuitOpenError(message, details) {
+		TransportError.call(this, message, details);
+		this.code = CircuitOpenError.code;
+	}, 'CIRCUIT_OPEN', TransportError);
+
+	var ClientClosedError = defineError(function ClientClosedError(message, details) {
+		TransportError.call(this, message, details);
+		this.code = ClientClosedError.code;
+	}, 'CLIENT_CLOSED', TransportError);
+
+	module.exports = {
+		EntityDatabaseError : EntityDatabaseError,
+		ValidationError : ValidationError,
+		NotFoundError : NotFoundError,
+		VersionConflictError : VersionConflictError,
+		TimeoutError : TimeoutError,
+		TransportError : TransportError,
+		AbortedError : AbortedError,
+		CircuitOpenError : CircuitOpenError,
+		ClientClosedError : ClientClosedError
+	};
+}());
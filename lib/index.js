@@ -16,4 +16,17 @@
 
 'use strict';
 module.exports.ElasticSearchClient = require('./elasticsearch-client');
-module.exports.EntityDatabase = require('./entity-database');
\ No newline at end of file
+module.exports.EntityDatabase = require('./entity-database');
+module.exports.elasticSearchClientManager = require('./elasticsearch-client-manager');
+module.exports.Cancellation = require('./cancellation');
+
+var errors = require('./errors');
+module.exports.EntityDatabaseError = errors.EntityDatabaseError;
+module.exports.ValidationError = errors.ValidationError;
+module.exports.NotFoundError = errors.NotFoundError;
+module.exports.VersionConflictError = errors.VersionConflictError;
+module.exports.TimeoutError = errors.TimeoutError;
+module.exports.TransportError = errors.TransportError;
+module.exports.AbortedError = errors.AbortedError;
+module.exports.CircuitOpenError = errors.CircuitOpenError;
+module.exports.ClientClosedError = errors.ClientClosedError;
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * HTTP(S) connection to a single elasticsearch node. It is a drop in
+ * replacement for the elastic.js NodeClient, i.e., it provides get(), post(),
+ * put(), del(), head(), which in addition supports HTTPS, basic auth, and
+ * custom headers that are sent with every request.
+ *
+ * The successcb is invoked with the parsed response body and the HTTP status
+ * code. For HEAD requests, the response headers are passed instead of the
+ * response body. If the response body is not valid JSON, then the errorcb is
+ * invoked with an Error whose code is 'INVALID_RESPONSE'.
+ *
+ * Each NodeConnection owns its own HTTP agent, i.e., socket pool, which by
+ * default keeps connections alive. Idle sockets are destroyed after the
+ * agent's idleTimeout. close() waits for pending requests to complete, and
+ * then destroys the pool.
+ *
+ * <code>
+ * options = {
+ *   host : 'localhost',					// REQUIRED
+ *   port : 9200,							// REQUIRED
+ *   protocol : 'https',					// OPTIONAL - Default is 'http'
+ *   auth : {								// OPTIONAL - basic auth credentials
+ *     username : 'user',					// REQUIRED
+ *     password : 'password'				// REQUIRED
+ *   },
+ *   headers : {},							// OPTIONAL - headers that are sent with every request
+ *   ca : ca,								// OPTIONAL - HTTPS only - trusted certificates in PEM format
+ *   cert : cert,							// OPTIONAL - HTTPS only - client certificate in PEM format
+ *   key : key,								// OPTIONAL - HTTPS only - client private key in PEM format
+ *   passphrase : 'passphrase',				// OPTIONAL - HTTPS only - passphrase for the private key
+ *   rejectUnauthorized : true,				// OPTIONAL - HTTPS only - Default is true
+ *   agent : {								// OPTIONAL - HTTP agent settings
+ *     keepAlive : true,					// OPTIONAL - Default is true - keep sockets around for future requests
+ *     keepAliveMsecs : 1000,				// OPTIONAL - Default is 1000 msec - initial delay for TCP keep-alive packets
+ *     maxSockets : 10,						// OPTIONAL - Default is unlimited - max number of concurrent sockets
+ *     maxFreeSockets : 10,					// OPTIONAL - Default is 256 - max number of idle sockets kept open
+ *     idleTimeout : 30000					// OPTIONAL - Default is 30000 msec - idle sockets are destroyed after this timeout
+ *   }
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var http = require('http');
+	var https = require('https');
+	var querystring = require('querystring');
+	var lodash = require('lodash');
+	var joi = require('joi');
+	var extend = require('extend');
+	var when = require('when');
+
+	var schema = {
+		host : joi.types.String().required(),
+		port : joi.types.Number().min(0).required(),
+		protocol : joi.types.String().valid('http', 'https'),
+		auth : joi.types.Object({
+			username : joi.types.String().required(),
+			password : joi.types.String().emptyOk().required()
+		}),
+		headers : joi.types.Object().allowOtherKeys(),
+		ca : joi.types.Any(),
+		cert : joi.types.Any(),
+		key : joi.types.Any(),
+		passphrase : joi.types.String(),
+		rejectUnauthorized : joi.types.Boolean(),
+		agent : joi.types.Object({
+			keepAlive : joi.types.Boolean(),
+			keepAliveMsecs : joi.types.Number().integer().min(1),
+			maxSockets : joi.types.Number().integer().min(1),
+			maxFreeSockets : joi.types.Number().integer().min(0),
+			idleTimeout : joi.types.Number().integer().min(0)
+		})
+	};
+
+	var noop = function noop() {
+		return undefined;
+	};
+
+	var onIdleTimeout = function onIdleTimeout() {
+		this.destroy();
+	};
+
+	/**
+	 * Creates the connection's socket pool. Sockets that are returned to the
+	 * pool are destroyed if they stay idle for longer than the idleTimeout.
+	 */
+	var createAgent = function createAgent(transport, options) {
+		options = options || {};
+		var agentOptions = {
+			keepAlive : lodash.isBoolean(options.keepAlive) ? options.keepAlive : true,
+			keepAliveMsecs : options.keepAliveMsecs || 1000
+		};
+		if (options.maxSockets) {
+			agentOptions.maxSockets = options.maxSockets;
+		}
+		if (!lodash.isUndefined(options.maxFreeSockets)) {
+			agentOptions.maxFreeSockets = options.maxFreeSockets;
+		}
+
+		var agent = new transport.Agent(agentOptions);
+		var idleTimeout = lodash.isNumber(options.idleTimeout) ? options.idleTimeout : 30000;
+		if (agentOptions.keepAlive && idleTimeout > 0) {
+			agent.on('free', function(socket) {
+				socket.removeListener('timeout', onIdleTimeout);
+				socket.setTimeout(idleTimeout);
+				socket.on('timeout', onIdleTimeout);
+			});
+		}
+		return agent;
+	};
+
+	var httpMethods = {
+		get : 'GET',
+		post : 'POST',
+		put : 'PUT',
+		del : 'DELETE',
+		head : 'HEAD'
+	};
+
+	var NodeConnection = function NodeConnection(options) {
+		var err = joi.validate(options, schema);
+		if (err) {
+			throw err;
+		}
+
+		this.host = options.host;
+		this.port = options.port;
+		this.protocol = options.protocol || 'http';
+		this.transport = this.protocol === 'https' ? https : http;
+		this.headers = extend({
+			'Content-Type' : 'application/json'
+		}, options.headers);
+
+		this.requestOptions = {
+			host : this.host,
+			port : this.port
+		};
+		if (options.auth) {
+			this.requestOptions.auth = options.auth.username + ':' + options.auth.password;
+		}
+		if (this.protocol === 'https') {
+			lodash.forEach([ 'ca', 'cert', 'key', 'passphrase', 'rejectUnauthorized' ], function(option) {
+				if (!lodash.isUndefined(options[option])) {
+					this.requestOptions[option] = options[option];
+				}
+			}, this);
+		}
+
+		this.agent = createAgent(this.transport, options.agent);
+		this.requestOptions.agent = this.agent;
+		this.pendingRequests = 0;
+		this.closed = false;
+		this.onDrain = undefined;
+	};
+
+	/**
+	 *
+	 * @param method
+	 *            NodeClient method name, i.e., 'get', 'post', 'put', 'del',
+	 *            'head'
+	 * @param path
+	 * @param data
+	 *            for 'get' and 'head', an object of url parameters - otherwise
+	 *            the request body
+	 * @return request handle - { abort : Function } - once aborted, neither
+	 *         the successcb or the errorcb is invoked
+	 */
+	NodeConnection.prototype.request = function(method, path, data, successcb, errorcb) {
+		var self = this;
+		if (this.closed) {
+			var closedError = new Error('NodeConnection is closed : ' + this.host + ':' + this.port);
+			closedError.code = 'CLIENT_CLOSED';
+			if (errorcb) {
+				errorcb(closedError);
+			}
+			return {
+				abort : noop
+			};
+		}
+
+		var body;
+		if (method === 'get' || method === 'head') {
+			var params = querystring.stringify(data || {});
+			if (params) {
+				path = path + (path.indexOf('?') === -1 ? '?' : '&') + params;
+			}
+		} else if (data) {
+			body = data;
+		}
+
+		var headers = extend({}, this.headers);
+		if (body) {
+			headers['Content-Length'] = Buffer.byteLength(body);
+		}
+
+		this.pendingRequests++;
+		var completed = false;
+		var complete = function(callback, result, status) {
+			if (completed) {
+				return;
+			}
+			completed = true;
+			self.pendingRequests--;
+			if (self.pendingRequests === 0 && self.onDrain) {
+				self.onDrain();
+			}
+			if (callback) {
+				callback(result, status);
+			}
+		};
+
+		var req = this.transport.request(extend({
+			path : path.charAt(0) === '/' ? path : '/' + path,
+			method : httpMethods[method],
+			headers : headers
+		}, this.requestOptions), function(res) {
+			if (method === 'head') {
+				res.resume();
+				complete(successcb, res.headers, res.statusCode);
+				return;
+			}
+
+			var resData = '';
+			res.setEncoding('utf8');
+			res.on('data', function(chunk) {
+				resData = resData + chunk;
+			});
+			res.on('end', function() {
+				var result;
+				try {
+					result = resData ? JSON.parse(resData) : {};
+				} catch (parseError) {
+					var err = new Error('Invalid JSON response : HTTP ' + res.statusCode);
+					err.code = 'INVALID_RESPONSE';
+					err.status = res.statusCode;
+					err.body = resData;
+					complete(errorcb, err);
+					return;
+				}
+				complete(successcb, result, res.statusCode);
+			});
+		});
+
+		req.on('socket', function(socket) {
+			// the socket is no longer idle
+			socket.removeListener('timeout', onIdleTimeout);
+			socket.setTimeout(0);
+		});
+
+		req.on('error', function(err) {
+			complete(errorcb, err);
+		});
+
+		if (body) {
+			req.write(body);
+		}
+		req.end();
+
+		return {
+			abort : function() {
+				if (!completed) {
+					complete();
+					req.abort();
+				}
+			}
+		};
+	};
+
+	/**
+	 * New requests are rejected with an Error whose code is 'CLIENT_CLOSED'.
+	 * Pending requests are allowed to complete, and then the socket pool is
+	 * destroyed.
+	 * 
+	 * @param drainTimeout
+	 *            OPTIONAL - Default is 10000 msec - max time to wait for
+	 *            pending requests to complete before the pool is destroyed
+	 * @return Promise
+	 */
+	NodeConnection.prototype.close = function(drainTimeout) {
+		var self = this;
+		this.closed = true;
+		return when.promise(function(resolve) {
+			var timer;
+			var destroy = function() {
+				clearTimeout(timer);
+				self.onDrain = undefined;
+				self.agent.destroy();
+				resolve();
+			};
+
+			if (self.pendingRequests === 0) {
+				destroy();
+				return;
+			}
+			self.onDrain = destroy;
+			timer = setTimeout(destroy, lodash.isNumber(drainTimeout) ? drainTimeout : 10000);
+		});
+	};
+
+	lodash.forEach(lodash.keys(httpMethods), function(method) {
+		NodeConnection.prototype[method] = function(path, data, successcb, errorcb) {
+			return this.request(method, path, data, successcb, errorcb);
+		};
+	});
+
+	NodeConnection.httpMethods = httpMethods;
+
+	module.exports = NodeConnection;
+}());
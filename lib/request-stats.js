@@ -0,0 +1,120 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Aggregates request events per operation. Latency percentiles are computed
+ * from the most recent requests, up to sampleSize per operation.
+ *
+ * <code>
+ * options = {
+ *   sampleSize : 1000						// OPTIONAL - Default is 1000 - number of latency samples kept per operation
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+
+	var percentile = function percentile(sortedSamples, p) {
+		if (sortedSamples.length === 0) {
+			return 0;
+		}
+		var rank = Math.ceil((p / 100) * sortedSamples.length) - 1;
+		return sortedSamples[Math.max(0, Math.min(rank, sortedSamples.length - 1))];
+	};
+
+	var RequestStats = function RequestStats(options) {
+		options = options || {};
+		this.sampleSize = options.sampleSize || 1000;
+		this.reset();
+	};
+
+	RequestStats.prototype.reset = function() {
+		this.operations = {};
+	};
+
+	/**
+	 *
+	 * @param event
+	 *            request event - operation, duration, and error are used
+	 */
+	RequestStats.prototype.record = function(event) {
+		var operation = this.operations[event.operation];
+		if (!operation) {
+			operation = {
+				count : 0,
+				errors : 0,
+				totalDuration : 0,
+				samples : [],
+				nextSample : 0
+			};
+			this.operations[event.operation] = operation;
+		}
+
+		operation.count++;
+		if (event.error) {
+			operation.errors++;
+		}
+		operation.totalDuration += event.duration;
+		operation.samples[operation.nextSample] = event.duration;
+		operation.nextSample = (operation.nextSample + 1) % this.sampleSize;
+	};
+
+	/**
+	 * @return Object keyed by operation name:
+	 *
+	 * <code>
+	 * {
+	 *   createEntity : {
+	 *     count : 10,
+	 *     errors : 1,
+	 *     latency : {		// msec
+	 *       mean : 12.3,
+	 *       min : 3,
+	 *       max : 40,
+	 *       p50 : 10,
+	 *       p90 : 30,
+	 *       p95 : 35,
+	 *       p99 : 40
+	 *     }
+	 *   }
+	 * }
+	 * </code>
+	 */
+	RequestStats.prototype.stats = function() {
+		var stats = {};
+		lodash.forOwn(this.operations, function(operation, name) {
+			var samples = lodash.sortBy(operation.samples);
+			stats[name] = {
+				count : operation.count,
+				errors : operation.errors,
+				latency : {
+					mean : operation.count > 0 ? operation.totalDuration / operation.count : 0,
+					min : samples.length > 0 ? samples[0] : 0,
+					max : samples.length > 0 ? samples[samples.length - 1] : 0,
+					p50 : percentile(samples, 50),
+					p90 : percentile(samples, 90),
+					p95 : percentile(samples, 95),
+					p99 : percentile(samples, 99)
+				}
+			};
+		});
+		return stats;
+	};
+
+	module.exports = RequestStats;
+}());
@@ -0,0 +1,197 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Decides whether a failed elasticsearch request should be retried, and how
+ * long to wait before the next attempt.
+ *
+ * Requests that are not idempotent, e.g., creating a document, a bulk request
+ * or a write that is conditional on the document version, are only retried when the failure guarantees that the request was
+ * never processed, i.e., the connection could not be established or
+ * elasticsearch rejected the request before executing it.
+ *
+ * <code>
+ * options = {
+ *   maxAttempts : 3,						// OPTIONAL - Default is 3 - total number of attempts, including the first one. Set to 1 to disable retries.
+ *   baseDelay : 100,						// OPTIONAL - Default is 100 msec - delay before the first retry. The delay is doubled for each subsequent retry.
+ *   maxDelay : 5000,						// OPTIONAL - Default is 5000 msec - upper bound for the delay
+ *   jitter : 0.2,							// OPTIONAL - Default is 0.2 - fraction of the delay that is randomized. Must be between 0 and 1.
+ *   retryOnStatus : [429, 503],			// OPTIONAL - HTTP status codes that are retryable
+ *   retryOnErrors : ['EsRejectedExecutionException'],	// OPTIONAL - elasticsearch exception types that are retryable
+ *   retryOnErrorCodes : ['ECONNRESET', ...],			// OPTIONAL - socket error codes that are retryable
+ *   retryNonIdempotent : false				// OPTIONAL - Default is false - if true, then non-idempotent requests are retried for any retryable error
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var joi = require('joi');
+
+	var schema = {
+		maxAttempts : joi.types.Number().integer().min(1),
+		baseDelay : joi.types.Number().min(0),
+		maxDelay : joi.types.Number().min(0),
+		jitter : joi.types.Number(),
+		retryOnStatus : joi.types.Array().includes(joi.types.Number()),
+		retryOnErrors : joi.types.Array().includes(joi.types.String()),
+		retryOnErrorCodes : joi.types.Array().includes(joi.types.String()),
+		retryNonIdempotent : joi.types.Boolean()
+	};
+
+	var defaults = {
+		maxAttempts : 3,
+		baseDelay : 100,
+		maxDelay : 5000,
+		jitter : 0.2,
+		retryOnStatus : [ 429, 503 ],
+		retryOnErrors : [ 'EsRejectedExecutionException' ],
+		retryOnErrorCodes : [ 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN' ],
+		retryNonIdempotent : false
+	};
+
+	/**
+	 * socket error codes which guarantee that the request never reached the
+	 * server
+	 */
+	var connectErrorCodes = [ 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN' ];
+
+	/**
+	 * elasticsearch exception types which guarantee that the request was not
+	 * executed
+	 */
+	var rejectedErrors = [ 'EsRejectedExecutionException' ];
+
+	var idempotentPostPaths = /\/_(search|count|mget|msearch|refresh|flush|optimize|mapping|validate|explain|search_shards|analyze|percolate)(\/|\?|$)/;
+
+	/**
+	 * each scroll request advances the scroll, i.e., a retried scroll request
+	 * skips a batch
+	 */
+	var scrollPath = /\/_search\/scroll(\/|\?|$)/;
+
+	/**
+	 * a write conditional on the document version fails with a version
+	 * conflict when it is sent again after it succeeded
+	 */
+	var versionParam = /[?&]version=/;
+
+	/**
+	 *
+	 * @param method
+	 *            NodeClient method name, i.e., 'get', 'post', 'put', 'del',
+	 *            'head'
+	 * @param path
+	 * @return true if sending the request more than once has the same effect
+	 *         as sending it once
+	 */
+	var isIdempotent = function isIdempotent(method, path) {
+		switch (method) {
+		case 'get':
+		case 'head':
+			return true;
+		case 'del':
+			return !versionParam.test(path);
+		case 'put':
+			return !/(\/_create|[?&]op_type=create)/.test(path) && !versionParam.test(path);
+		default:
+			return idempotentPostPaths.test(path) && !scrollPath.test(path);
+		}
+	};
+
+	var errorTypeMatches = function errorTypeMatches(errorTypes, errorMessage) {
+		return lodash.isString(errorMessage) && lodash.some(errorTypes, function(errorType) {
+			return errorMessage.indexOf(errorType) !== -1;
+		});
+	};
+
+	var RetryPolicy = function RetryPolicy(options) {
+		options = options || {};
+		var err = joi.validate(options, schema);
+		if (err) {
+			throw err;
+		}
+		if (!lodash.isUndefined(options.jitter) && (options.jitter < 0 || options.jitter > 1)) {
+			throw new Error('jitter must be between 0 and 1');
+		}
+
+		lodash.assign(this, defaults, options);
+	};
+
+	/**
+	 *
+	 * @param err
+	 *            the request error, if the request failed
+	 * @param result
+	 *            the elasticsearch response, if a response was received
+	 * @return true if the failure is retryable - for non-idempotent requests,
+	 *         retryNonIdempotent must be set or the failure must guarantee that
+	 *         the request was not processed
+	 */
+	RetryPolicy.prototype.isRetryable = function(method, path, err, result) {
+		var idempotent = this.retryNonIdempotent || isIdempotent(method, path);
+		if (err) {
+			if (!lodash.contains(this.retryOnErrorCodes, err.code)) {
+				return false;
+			}
+			return idempotent || lodash.contains(connectErrorCodes, err.code);
+		}
+
+		if (!lodash.isObject(result) || !result.error) {
+			return false;
+		}
+		if (errorTypeMatches(this.retryOnErrors, result.error)) {
+			return idempotent || errorTypeMatches(rejectedErrors, result.error);
+		}
+		return idempotent && lodash.contains(this.retryOnStatus, result.status);
+	};
+
+	/**
+	 *
+	 * @param attempt
+	 *            the number of attempts made so far
+	 * @return true if another attempt should be made
+	 */
+	RetryPolicy.prototype.shouldRetry = function(attempt, method, path, err, result) {
+		return attempt < this.maxAttempts && this.isRetryable(method, path, err, result);
+	};
+
+	/**
+	 *
+	 * @param attempt
+	 *            the number of attempts made so far
+	 * @return the number of msec to wait before the next attempt - exponential
+	 *         backoff with jitter
+	 */
+	RetryPolicy.prototype.delay = function(attempt) {
+		var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+		return Math.round(delay - (delay * this.jitter * Math.random()));
+	};
+
+	RetryPolicy.isIdempotent = isIdempotent;
+
+	/**
+	 *
+	 * @return true if the socket error guarantees that the request never
+	 *         reached the server
+	 */
+	RetryPolicy.isConnectError = function(err) {
+		return !!err && lodash.contains(connectErrorCodes, err.code);
+	};
+
+	module.exports = RetryPolicy;
+}());
@@ -0,0 +1,135 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Write-behind buffer that queues items, and sends them as a batch when
+ * maxSize items are queued, or when the interval elapses after the first item
+ * was queued - whichever comes first. Batches are sent one at a time, in the
+ * order they were queued.
+ *
+ * <code>
+ * options = {
+ *   maxSize : 100,							// OPTIONAL - Default is 100 - max number of items per batch
+ *   interval : 1000,						// OPTIONAL - Default is 1000 msec - max time an item is queued before the batch is sent
+ *   send : function(items){}				// REQUIRED - sends the batch - returns a promise for an Array of results, one per item, in the same order. If a result is an Error, then the item's promise is rejected with it.
+ * }
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var joi = require('joi');
+	var when = require('when');
+
+	var schema = {
+		maxSize : joi.types.Number().integer().min(1),
+		interval : joi.types.Number().integer().min(0),
+		send : joi.types.Function().required()
+	};
+
+	var WriteBuffer = function WriteBuffer(options) {
+		var err = joi.validate(options, schema);
+		if (err) {
+			throw err;
+		}
+
+		this.maxSize = options.maxSize || 100;
+		this.interval = lodash.isNumber(options.interval) ? options.interval : 1000;
+		this.send = options.send;
+		this.entries = [];
+		this.timer = undefined;
+		this.lastBatch = when.resolve();
+	};
+
+	/**
+	 *
+	 * @param item
+	 * @return Promise for the item's result
+	 */
+	WriteBuffer.prototype.add = function(item) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			self.entries.push({
+				item : item,
+				resolve : resolve,
+				reject : reject
+			});
+
+			if (self.entries.length >= self.maxSize) {
+				self.flush();
+			} else if (!self.timer) {
+				self.timer = setTimeout(function() {
+					self.timer = undefined;
+					self.flush();
+				}, self.interval);
+			}
+		});
+	};
+
+	/**
+	 *
+	 * @return number of items that are queued
+	 */
+	WriteBuffer.prototype.size = function() {
+		return this.entries.length;
+	};
+
+	/**
+	 * Sends the queued items immediately.
+	 *
+	 * @return Promise that resolves once all items queued so far have been
+	 *         sent. It is never rejected - the items' promises are rejected
+	 *         instead.
+	 */
+	WriteBuffer.prototype.flush = function() {
+		var self = this;
+		clearTimeout(this.timer);
+		this.timer = undefined;
+
+		var entries = this.entries;
+		this.entries = [];
+		if (entries.length === 0) {
+			return this.lastBatch;
+		}
+
+		this.lastBatch = when(this.lastBatch, function() {
+			var results;
+			try {
+				results = self.send(lodash.pluck(entries, 'item'));
+			} catch (err) {
+				results = when.reject(err);
+			}
+
+			return when(results, function(results) {
+				lodash.forEach(entries, function(entry, i) {
+					if (results[i] instanceof Error) {
+						entry.reject(results[i]);
+					} else {
+						entry.resolve(results[i]);
+					}
+				});
+			}, function(err) {
+				lodash.forEach(entries, function(entry) {
+					entry.reject(err);
+				});
+			});
+		});
+		return this.lastBatch;
+	};
+
+	module.exports = WriteBuffer;
+}());
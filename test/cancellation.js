@@ -0,0 +1,60 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var Cancellation = require('../lib/cancellation');
+
+describe('Cancellation', function() {
+
+	it('notifies listeners once when cancelled', function() {
+		var cancellation = new Cancellation();
+		var reasons = [];
+		cancellation.onCancel(function(reason) {
+			reasons.push(reason);
+		});
+
+		cancellation.cancel('stop');
+		cancellation.cancel('stop again');
+		expect(cancellation.cancelled).to.equal(true);
+		expect(cancellation.reason).to.equal('stop');
+		expect(reasons).to.eql([ 'stop' ]);
+	});
+
+	it('notifies listeners immediately if already cancelled', function() {
+		var cancellation = new Cancellation();
+		cancellation.cancel('stop');
+
+		var reasons = [];
+		cancellation.onCancel(function(reason) {
+			reasons.push(reason);
+		});
+		expect(reasons).to.eql([ 'stop' ]);
+	});
+
+	it('does not notify listeners that were unregistered', function() {
+		var cancellation = new Cancellation();
+		var notified = false;
+		var unregister = cancellation.onCancel(function() {
+			notified = true;
+		});
+
+		unregister();
+		cancellation.cancel();
+		expect(notified).to.equal(false);
+	});
+});
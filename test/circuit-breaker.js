@@ -0,0 +1,108 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var CircuitBreaker = require('../lib/circuit-breaker');
+
+describe('CircuitBreaker', function() {
+
+	it('opens when the error rate reaches the errorThreshold', function() {
+		var circuitBreaker = new CircuitBreaker({
+			errorThreshold : 0.5,
+			volumeThreshold : 4
+		});
+		var stateChanges = [];
+		circuitBreaker.on('stateChange', function(event) {
+			stateChanges.push(event);
+		});
+
+		circuitBreaker.onSuccess();
+		circuitBreaker.onFailure();
+		circuitBreaker.onSuccess();
+		expect(circuitBreaker.state).to.equal(CircuitBreaker.CLOSED);
+		circuitBreaker.onFailure();
+		expect(circuitBreaker.state).to.equal(CircuitBreaker.OPEN);
+		expect(circuitBreaker.allowRequest()).to.equal(false);
+		expect(stateChanges).to.eql([ {
+			state : CircuitBreaker.OPEN,
+			previousState : CircuitBreaker.CLOSED
+		} ]);
+	});
+
+	it('does not open until the volumeThreshold is reached', function() {
+		var circuitBreaker = new CircuitBreaker({
+			volumeThreshold : 3
+		});
+
+		circuitBreaker.onFailure();
+		circuitBreaker.onFailure();
+		expect(circuitBreaker.state).to.equal(CircuitBreaker.CLOSED);
+		expect(circuitBreaker.allowRequest()).to.equal(true);
+		circuitBreaker.onFailure();
+		expect(circuitBreaker.state).to.equal(CircuitBreaker.OPEN);
+	});
+
+	it('lets probe requests through while half open and closes when a probe succeeds', function(done) {
+		var circuitBreaker = new CircuitBreaker({
+			volumeThreshold : 1,
+			resetTimeout : 10
+		});
+
+		circuitBreaker.onFailure();
+		expect(circuitBreaker.allowRequest()).to.equal(false);
+
+		setTimeout(function() {
+			expect(circuitBreaker.allowRequest()).to.equal(true);
+			expect(circuitBreaker.state).to.equal(CircuitBreaker.HALF_OPEN);
+			// only 1 probe is allowed at a time
+			expect(circuitBreaker.allowRequest()).to.equal(false);
+
+			circuitBreaker.onSuccess();
+			expect(circuitBreaker.state).to.equal(CircuitBreaker.CLOSED);
+			expect(circuitBreaker.allowRequest()).to.equal(true);
+			done();
+		}, 20);
+	});
+
+	it('opens again when a probe fails', function(done) {
+		var circuitBreaker = new CircuitBreaker({
+			volumeThreshold : 1,
+			resetTimeout : 10
+		});
+
+		circuitBreaker.onFailure();
+		setTimeout(function() {
+			expect(circuitBreaker.allowRequest()).to.equal(true);
+			circuitBreaker.onFailure();
+			expect(circuitBreaker.state).to.equal(CircuitBreaker.OPEN);
+			expect(circuitBreaker.allowRequest()).to.equal(false);
+			done();
+		}, 20);
+	});
+
+	it('throws an Error when constructed with invalid settings', function(done) {
+		try {
+			console.log(new CircuitBreaker({
+				errorThreshold : 2
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+});
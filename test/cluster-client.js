@@ -0,0 +1,426 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+var http = require('http');
+
+var ClusterClient = require('../lib/cluster-client');
+var Cancellation = require('../lib/cancellation');
+
+describe('ClusterClient', function() {
+	var server;
+	var serverPort;
+	var rejectCount = 0;
+	var receivedPaths = [];
+	// nothing is listening on this port
+	var deadPort = 1;
+
+	before(function(done) {
+		server = http.createServer(function(req, res) {
+			receivedPaths.push(req.url);
+			res.setHeader('Content-Type', 'application/json');
+			if (req.url === '/slow') {
+				setTimeout(function() {
+					res.end(JSON.stringify({
+						ok : true
+					}));
+				}, 300);
+				return;
+			}
+			if (rejectCount > 0) {
+				rejectCount--;
+				res.statusCode = 503;
+				res.end(JSON.stringify({
+					error : 'EsRejectedExecutionException[rejected execution]',
+					status : 503
+				}));
+				return;
+			}
+			res.end(JSON.stringify({
+				ok : true,
+				path : req.url
+			}));
+		});
+		server.listen(0, 'localhost', function() {
+			serverPort = server.address().port;
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('spreads requests across nodes using round-robin', function() {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : 9200
+			}, {
+				host : 'localhost',
+				port : 9201
+			} ]
+		});
+
+		expect(client.selectNodes()[0].port).to.equal(9200);
+		expect(client.selectNodes()[0].port).to.equal(9201);
+		expect(client.selectNodes()[0].port).to.equal(9200);
+	});
+
+	it('fails over to the next node and marks the failed node dead', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : deadPort
+			}, {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			deadTimeout : 60000,
+			logLevel : 'ERROR'
+		});
+
+		client.get('/_cluster/health', {}, function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result.ok).to.equal(true);
+			expect(client.liveNodes().length).to.equal(1);
+			expect(client.liveNodes()[0].port).to.equal(serverPort);
+
+			// the dead node is skipped
+			expect(client.selectNodes()[0].port).to.equal(serverPort);
+			expect(client.selectNodes()[0].port).to.equal(serverPort);
+			done();
+		}, done);
+	});
+
+	it('brings dead nodes back into rotation after the deadTimeout', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : deadPort
+			}, {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			deadTimeout : 10,
+			logLevel : 'ERROR'
+		});
+
+		client.get('/', {}, function() {
+			expect(client.liveNodes().length).to.equal(1);
+			setTimeout(function() {
+				expect(client.liveNodes().length).to.equal(2);
+				done();
+			}, 20);
+		}, done);
+	});
+
+	it('returns an error when all nodes fail', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : deadPort
+			} ],
+			logLevel : 'ERROR'
+		});
+
+		client.post('/_search', '{}', function(result) {
+			done(new Error('expected request to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(client.liveNodes().length).to.equal(0);
+			done();
+		});
+	});
+
+	it('does not fail over a non-idempotent request that may have reached the node', function(done) {
+		var bodies = [];
+		var resetServer = http.createServer(function(req) {
+			var body = '';
+			req.on('data', function(chunk) {
+				body += chunk;
+			});
+			req.on('end', function() {
+				bodies.push(body);
+				req.socket.destroy();
+			});
+		});
+		resetServer.listen(0, 'localhost', function() {
+			var client = new ClusterClient({
+				nodes : [ {
+					host : 'localhost',
+					port : resetServer.address().port
+				}, {
+					host : 'localhost',
+					port : serverPort
+				} ],
+				logLevel : 'ERROR'
+			});
+
+			var path = '/index/type/_bulk?failover';
+			client.post(path, '{"update":{"_id":"1"}}\n{"script":"ctx._source.count += 1"}\n', function(result) {
+				resetServer.close();
+				done(new Error('expected request to fail : ' + JSON.stringify(result)));
+			}, function(err) {
+				resetServer.close();
+				console.log(err);
+				try {
+					expect(err.code).to.equal('ECONNRESET');
+					expect(bodies.length).to.equal(1);
+					expect(receivedPaths).to.not.include(path);
+					done();
+				} catch (error) {
+					done(error);
+				}
+			});
+		});
+	});
+
+	it('retries transient failures with backoff', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			retry : {
+				baseDelay : 10
+			},
+			logLevel : 'ERROR'
+		});
+
+		rejectCount = 2;
+		client.post('/index/type/_bulk', '', function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result.ok).to.equal(true);
+			expect(rejectCount).to.equal(0);
+			done();
+		}, done);
+	});
+
+	it('returns the last response when retries are exhausted', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			retry : {
+				maxAttempts : 2,
+				baseDelay : 10
+			},
+			logLevel : 'ERROR'
+		});
+
+		rejectCount = 3;
+		client.get('/index/type/id', {}, function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result.status).to.equal(503);
+			expect(rejectCount).to.equal(1);
+			rejectCount = 0;
+			done();
+		}, done);
+	});
+
+	it('emits a request event when a request completes', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			logLevel : 'ERROR'
+		});
+
+		var events = [];
+		client.on('request', function(event) {
+			events.push(event);
+		});
+
+		client.withRequestOptions({
+			operation : 'findAll',
+			index : 'entity_index'
+		}, function() {
+			client.post('/entity_index/entity_type/_search', '{}', function() {
+				client.get('/other_index/other_type/id', {}, function() {
+					console.log(events);
+					expect(events.length).to.equal(2);
+					expect(events[0].operation).to.equal('findAll');
+					expect(events[0].index).to.equal('entity_index');
+					expect(events[0].type).to.equal('entity_type');
+					expect(events[0].method).to.equal('POST');
+					expect(events[0].path).to.equal('/entity_index/entity_type/_search');
+					expect(events[0].status).to.equal(200);
+					expect(events[0].attempts).to.equal(1);
+					expect(events[0].duration).to.be.at.least(0);
+					expect(events[0].error).to.equal(undefined);
+
+					// request options only apply to requests sent within withRequestOptions()
+					expect(events[1].operation).to.equal('GET');
+					expect(events[1].index).to.equal('other_index');
+					done();
+				}, done);
+			}, done);
+		});
+	});
+
+	it('emits a request event with the error when a request fails', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : deadPort
+			} ],
+			retry : {
+				maxAttempts : 1
+			},
+			logLevel : 'ERROR'
+		});
+
+		client.on('request', function(event) {
+			console.log(event);
+			expect(event.operation).to.equal('POST _search');
+			expect(event.error.code).to.equal('ECONNREFUSED');
+			expect(event.status).to.equal(undefined);
+			done();
+		});
+
+		client.post('/_search', '{}');
+	});
+
+	it('fails fast with CIRCUIT_OPEN while the circuit breaker is open', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : deadPort
+			} ],
+			retry : {
+				maxAttempts : 1
+			},
+			circuitBreaker : {
+				volumeThreshold : 1
+			},
+			logLevel : 'ERROR'
+		});
+
+		var stateChanges = [];
+		client.on('circuitBreakerStateChange', function(event) {
+			stateChanges.push(event);
+		});
+
+		client.get('/', {}, function(result) {
+			done(new Error('expected request to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			expect(err.code).to.equal('ECONNREFUSED');
+			expect(stateChanges.length).to.equal(1);
+			expect(stateChanges[0].state).to.equal('OPEN');
+
+			client.get('/', {}, function(result) {
+				done(new Error('expected request to fail : ' + JSON.stringify(result)));
+			}, function(err) {
+				console.log(err);
+				expect(err.code).to.equal('CIRCUIT_OPEN');
+				done();
+			});
+		});
+	});
+
+	it('fails with TIMEOUT when the request timeout elapses', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			logLevel : 'ERROR'
+		});
+
+		var events = [];
+		client.on('request', function(event) {
+			events.push(event);
+		});
+
+		client.withRequestOptions({
+			timeout : 50
+		}, function() {
+			client.get('/slow', {}, function(result) {
+				done(new Error('expected request to time out : ' + JSON.stringify(result)));
+			}, function(err) {
+				console.log(err);
+				expect(err.code).to.equal('TIMEOUT');
+				expect(events.length).to.equal(1);
+				expect(events[0].error.code).to.equal('TIMEOUT');
+				done();
+			});
+		});
+	});
+
+	it('fails with ABORTED when the request is cancelled', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			logLevel : 'ERROR'
+		});
+
+		var cancellation = new Cancellation();
+		client.withRequestOptions({
+			cancellation : cancellation
+		}, function() {
+			client.get('/slow', {}, function(result) {
+				done(new Error('expected request to be aborted : ' + JSON.stringify(result)));
+			}, function(err) {
+				console.log(err);
+				expect(err.code).to.equal('ABORTED');
+				expect(err.message).to.contain('no longer needed');
+				done();
+			});
+		});
+		cancellation.cancel('no longer needed');
+	});
+
+	it('does not send the request when already cancelled', function(done) {
+		var client = new ClusterClient({
+			nodes : [ {
+				host : 'localhost',
+				port : serverPort
+			} ],
+			logLevel : 'ERROR'
+		});
+
+		var cancellation = new Cancellation();
+		cancellation.cancel();
+		client.withRequestOptions({
+			cancellation : cancellation
+		}, function() {
+			client.get('/', {}, function(result) {
+				done(new Error('expected request to be aborted : ' + JSON.stringify(result)));
+			}, function(err) {
+				expect(err.code).to.equal('ABORTED');
+				expect(client.nodes[0].client.pendingRequests).to.equal(0);
+				done();
+			});
+		});
+	});
+
+	it('throws an Error when constructed with no nodes', function(done) {
+		try {
+			console.log(new ClusterClient({
+				nodes : []
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+});
@@ -0,0 +1,129 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var elasticSearchClientManager = require('..').elasticSearchClientManager;
+var ElasticSearchClient = require('..').ElasticSearchClient;
+var EntityDatabase = require('..').EntityDatabase;
+var Entity = require('runrightfast-commons').Entity;
+
+describe('ElasticSearchClientManager', function() {
+
+	afterEach(function(done) {
+		elasticSearchClientManager.stop().then(function() {
+			done();
+		}, done);
+	});
+
+	it('can register named clients', function() {
+		elasticSearchClientManager.registerClients([ {
+			name : 'primary',
+			host : 'localhost',
+			port : 9200
+		}, {
+			name : 'reporting',
+			nodes : [ {
+				host : 'localhost',
+				port : 9201
+			} ]
+		} ]);
+
+		expect(elasticSearchClientManager.getClientNames()).to.have.members([ 'primary', 'reporting' ]);
+		expect(elasticSearchClientManager.getClient('primary')).to.be.instanceOf(ElasticSearchClient);
+		expect(elasticSearchClientManager.getClient('reporting')).to.be.instanceOf(ElasticSearchClient);
+		expect(elasticSearchClientManager.getClient('primary').ejs).to.not.equal(elasticSearchClientManager.getClient('reporting').ejs);
+		expect(elasticSearchClientManager.getClient('unknown')).to.equal(undefined);
+	});
+
+	it('rejects duplicate client names', function(done) {
+		elasticSearchClientManager.registerClient({
+			name : 'primary',
+			host : 'localhost',
+			port : 9200
+		});
+
+		try {
+			elasticSearchClientManager.registerClient({
+				name : 'primary',
+				host : 'localhost',
+				port : 9201
+			});
+			done(new Error('Expected duplicate client error'));
+		} catch (err) {
+			console.log(err);
+			done();
+		}
+	});
+
+	it('throws an Error when the client config is invalid', function(done) {
+		try {
+			elasticSearchClientManager.registerClient({
+				name : 'primary',
+				host : 'localhost'
+			});
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			console.log(err);
+			expect(elasticSearchClientManager.getClient('primary')).to.equal(undefined);
+			done();
+		}
+	});
+
+	it('closes all clients on stop', function(done) {
+		var client = elasticSearchClientManager.registerClient({
+			name : 'primary',
+			host : 'localhost',
+			port : 9200
+		});
+
+		elasticSearchClientManager.stop().then(function() {
+			expect(elasticSearchClientManager.getClientNames().length).to.equal(0);
+			expect(client.ejs.client.closed).to.equal(true);
+			done();
+		}, done);
+	});
+
+	it('can be used to construct an EntityDatabase by client name', function(done) {
+		var client = elasticSearchClientManager.registerClient({
+			name : 'primary',
+			host : 'localhost',
+			port : 9200
+		});
+
+		var db = new EntityDatabase({
+			elasticSearchClient : 'primary',
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity
+		});
+		expect(db.ejs).to.equal(client.ejs);
+
+		try {
+			console.log(new EntityDatabase({
+				elasticSearchClient : 'unknown',
+				index : 'entity_database_test',
+				type : 'entity_database_test',
+				entityConstructor : Entity
+			}));
+			done(new Error('Expected unregistered client error'));
+		} catch (err) {
+			console.log(err);
+			done();
+		}
+	});
+});
@@ -17,8 +17,13 @@
 
 var expect = require('chai').expect;
 var lodash = require('lodash');
+var http = require('http');
+var when = require('when');
+var Entity = require('runrightfast-commons').Entity;
 
 var ElasticSearchClient = require('..').ElasticSearchClient;
+var EntityDatabase = require('..').EntityDatabase;
+var ClientClosedError = require('..').ClientClosedError;
 
 describe('ElasticSearchClient', function() {
 	it('must be constructed with a host and port', function(done) {
@@ -36,6 +41,239 @@ describe('ElasticSearchClient', function() {
 		});
 	});
 
+	it('can ping the cluster', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9200
+		});
+
+		client.ping().then(function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result.reachable).to.equal(true);
+			expect(result.version).to.be.a('string');
+			done();
+		}, done);
+	});
+
+	it('ping reports when the cluster is not reachable', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 1,
+			retry : {
+				maxAttempts : 1
+			},
+			logLevel : 'ERROR'
+		});
+
+		client.ping().then(function(result) {
+			console.log(result);
+			expect(result.reachable).to.equal(false);
+			expect(result.error).to.be.instanceof(Error);
+			done();
+		}, done);
+	});
+
+	it('can wait for the cluster health to reach a target status', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9200
+		});
+
+		client.waitForHealth({
+			status : 'yellow',
+			timeout : 10000
+		}).then(function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result.status).to.match(/yellow|green/);
+			done();
+		}, done);
+	});
+
+	it('waitForHealth fails with HEALTH_TIMEOUT if the target status is not reached in time', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 1,
+			retry : {
+				maxAttempts : 1
+			},
+			logLevel : 'ERROR'
+		});
+
+		client.waitForHealth({
+			status : 'green',
+			timeout : 200,
+			interval : 50
+		}).then(function(result) {
+			done(new Error('expected waitForHealth to time out : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err.code).to.equal('HEALTH_TIMEOUT');
+			done();
+		});
+	});
+
+	it('waitForHealth fails with HEALTH_TIMEOUT if a health request hangs', function(done) {
+		var server = http.createServer(function() {
+			// never responds
+			return;
+		});
+		server.listen(0, 'localhost', function() {
+			var client = new ElasticSearchClient({
+				host : 'localhost',
+				port : server.address().port,
+				logLevel : 'ERROR'
+			});
+
+			var start = Date.now();
+			client.waitForHealth({
+				timeout : 300
+			}).then(function(result) {
+				done(new Error('expected waitForHealth to time out : ' + JSON.stringify(result)));
+			}, function(err) {
+				console.log(err);
+				server.close();
+				try {
+					expect(err.code).to.equal('HEALTH_TIMEOUT');
+					expect(err.cause.code).to.equal('TIMEOUT');
+					expect(Date.now() - start).to.be.lt(1000);
+					done();
+				} catch (error) {
+					done(error);
+				}
+			});
+		});
+	});
+
+	it('each instance has its own elastic.js client', function() {
+		var ejs1 = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9200
+		}).ejs;
+
+		var ejs2 = new ElasticSearchClient({
+			host : 'reporting',
+			port : 9201
+		}).ejs;
+
+		expect(ejs1).to.not.equal(ejs2);
+		expect(ejs1.client.nodes[0].host).to.equal('localhost');
+		expect(ejs1.client.nodes[0].port).to.equal(9200);
+		expect(ejs2.client.nodes[0].host).to.equal('reporting');
+		expect(ejs2.client.nodes[0].port).to.equal(9201);
+		expect(require('elastic.js').client).to.not.equal(ejs1.client);
+		expect(require('elastic.js').client).to.not.equal(ejs2.client);
+	});
+
+	it('can be constructed with a list of cluster nodes', function(done) {
+		var ejs = new ElasticSearchClient({
+			nodes : [ {
+				host : 'localhost',
+				port : 9200
+			}, {
+				host : '127.0.0.1',
+				port : 9200
+			} ],
+			deadTimeout : 1000
+		}).ejs;
+
+		expect(ejs.client.nodes.length).to.equal(2);
+		expect(ejs.client.deadTimeout).to.equal(1000);
+
+		var clusterHealth = ejs.ClusterHealth();
+		clusterHealth.doHealth(function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('can be configured to use https with basic auth and custom headers', function() {
+		var ejs = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9243,
+			protocol : 'https',
+			auth : {
+				username : 'elastic',
+				password : 'secret'
+			},
+			headers : {
+				'X-Request-Source' : 'entity-database'
+			},
+			rejectUnauthorized : false
+		}).ejs;
+
+		var connection = ejs.client.nodes[0].client;
+		expect(connection.protocol).to.equal('https');
+		expect(connection.requestOptions.auth).to.equal('elastic:secret');
+		expect(connection.requestOptions.rejectUnauthorized).to.equal(false);
+		expect(connection.headers['X-Request-Source']).to.equal('entity-database');
+	});
+
+	it('can be configured with connection pool settings and closed', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9200,
+			agent : {
+				keepAlive : true,
+				maxSockets : 20,
+				idleTimeout : 10000
+			}
+		});
+
+		var clusterClient = client.ejs.client;
+		expect(clusterClient.nodes[0].client.agent.maxSockets).to.equal(20);
+
+		client.close().then(function() {
+			expect(client.ejs.client).to.equal(clusterClient);
+			expect(clusterClient.closed).to.equal(true);
+			expect(clusterClient.nodes[0].client.closed).to.equal(true);
+			done();
+		}, done);
+	});
+
+	it('rejects requests with CLIENT_CLOSED once closed', function(done) {
+		var client = new ElasticSearchClient({
+			host : 'localhost',
+			port : 9200
+		});
+		var database = new EntityDatabase({
+			ejs : client.ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity
+		});
+
+		client.close().then(function() {
+			return when.settle([ client.ping(), client.waitForHealth(), database.getEntity('id', {
+				timeout : 1000
+			}), database.entityExists('id') ]);
+		}).then(function(descriptors) {
+			expect(descriptors[0].value.reachable).to.equal(false);
+			expect(descriptors[0].value.error.code).to.equal('CLIENT_CLOSED');
+			expect(descriptors[1].reason.code).to.equal('CLIENT_CLOSED');
+			expect(descriptors[2].reason).to.be.instanceof(ClientClosedError);
+			expect(descriptors[3].reason).to.be.instanceof(ClientClosedError);
+			done();
+		}).then(null, done);
+	});
+
+	it('throws an Error when constructed with both host and nodes', function(done) {
+		try {
+			console.log(new ElasticSearchClient({
+				host : 'localhost',
+				port : 9200,
+				nodes : [ {
+					host : 'localhost',
+					port : 9200
+				} ]
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+
 	it('throws an Error when constructed with invalid settings', function(done) {
 		try {
 			console.log(new ElasticSearchClient({
@@ -20,6 +20,8 @@ var lodash = require('lodash');
 
 var ElasticSearchClient = require('..').ElasticSearchClient;
 var EntityDatabase = require('..').EntityDatabase;
+var Cancellation = require('..').Cancellation;
+var errors = require('../lib/errors');
 var Entity = require('runrightfast-commons').Entity;
 var when = require('when');
 var lodash = require('lodash');
@@ -78,11 +80,28 @@ describe('EntityDatabase', function() {
 			                "index" : "not_analyzed"
 			            }
 			        }     
+				},
+				"entity_database_test_history": {
+			       "properties": {
+			            "entityId": {
+			                "type": "string",
+			                "index" : "not_analyzed"
+			            },
+			            "version": {
+			                "type": "long"
+			            }
+			        }
 				}
 			}
 		};
 
 		db.deleteIndex()
+			.then(null, function(err){
+				// the index does not exist on the first run
+				if (!(err instanceof errors.NotFoundError)) {
+					throw err;
+				}
+			})
 			.then(function(){
 				db.createIndex(indexSettings)
 					.then(function(result){
@@ -194,7 +213,10 @@ describe('EntityDatabase', function() {
 				done(new Error('expected create to fail'));
 			}, function(err) {
 				console.log(err);
-				expect(err.code).to.equal(409);
+				expect(err).to.be.instanceof(errors.VersionConflictError);
+				expect(err.code).to.equal('VERSION_CONFLICT');
+				expect(err.id).to.equal(entity.id);
+				expect(err.response.status).to.equal(409);
 				done();
 			});
 		}, done);
@@ -280,14 +302,61 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('can check if an Entity exists', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function() {
+			when(db.entityExists(entity.id), function(exists) {
+				expect(exists).to.equal(true);
+				when(db.entityExists(uuid()), function(exists) {
+					expect(exists).to.equal(false);
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('can check if multiple entities exist', function(done) {
+		var entity1 = new Entity();
+		var entity2 = new Entity();
+		var missingId = uuid();
+		idsToDelete = idsToDelete.concat([ entity1.id, entity2.id ]);
+		when(db.createEntities([ entity1, entity2 ]), function() {
+			when(db.existsMany([ entity1.id, missingId, entity2.id ]), function(exists) {
+				console.log(JSON.stringify(exists, undefined, 2));
+				expect(exists[entity1.id]).to.equal(true);
+				expect(exists[entity2.id]).to.equal(true);
+				expect(exists[missingId]).to.equal(false);
+				done();
+			}, done);
+		}, done);
+	});
+
+	it('#entityExists and #existsMany validate their args', function(done) {
+		when(db.entityExists(), function() {
+			done(new Error('expected error'));
+		}, function(err) {
+			console.log(err);
+			when(db.existsMany([ 1 ]), function() {
+				done(new Error('expected error'));
+			}, function(err) {
+				console.log(err);
+				done();
+			});
+		});
+	});
+
 	it('getting an Entity with an invalid id will fail', function(done) {
 		when(db.getEntity(uuid()), function(result) {
 			console.log('get response: ' + JSON.stringify(result, undefined, 2));
 			done(new Error('expected entity to be not found'));
 		}, function(err) {
 			console.log(err);
-			expect(lodash.isObject(err.info)).to.equal(true);
-			expect(err.code).to.equal(404);
+			expect(err).to.be.instanceof(errors.NotFoundError);
+			expect(lodash.isObject(err.response)).to.equal(true);
+			expect(err.code).to.equal('NOT_FOUND');
+			expect(err.index).to.equal(db.index);
+			expect(err.type).to.equal(db.type);
 			done();
 		});
 	});
@@ -360,7 +429,8 @@ describe('EntityDatabase', function() {
 							done(new Error('expected update to fail'));
 						}, function(error) {
 							console.log(error);
-							expect(error.code).to.equal(409);
+							expect(error).to.be.instanceof(errors.VersionConflictError);
+							expect(error.code).to.equal('VERSION_CONFLICT');
 							done();
 						});
 					});
@@ -370,6 +440,293 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('can modify an Entity', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function() {
+			when(db.modifyEntity(entity.id, function(entity) {
+				entity.maxConns = 20;
+			}, {
+				updatedBy : 'azappala'
+			}), function(result) {
+				console.log('modify response : ' + JSON.stringify(result, undefined, 2));
+				when(db.getEntity(entity.id), function(result) {
+					expect(result._source.maxConns).to.equal(20);
+					expect(result._source.updatedBy).to.equal('azappala');
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#modifyEntity - retries on version conflicts', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		var invocations = 0;
+		when(db.createEntity(entity), function() {
+			when(db.modifyEntity(entity.id, function(entity) {
+				invocations++;
+				if (invocations === 1) {
+					// simulate a concurrent update
+					return when(db.updateEntity({
+						id : entity.id,
+						doc : {
+							maxConns : 10
+						}
+					}), function() {
+						entity.maxConns = 20;
+						return entity;
+					});
+				}
+				entity.maxConns = entity.maxConns + 20;
+				return entity;
+			}), function() {
+				expect(invocations).to.equal(2);
+				when(db.getEntity(entity.id), function(result) {
+					expect(result._source.maxConns).to.equal(30);
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#modifyEntity - fails with a conflict error when the retries are exhausted', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function() {
+			when(db.modifyEntity(entity.id, function(entity) {
+				return when(db.updateEntity({
+					id : entity.id,
+					doc : {
+						maxConns : 10
+					}
+				}), function() {
+					return entity;
+				});
+			}, {
+				maxRetries : 1
+			}), function(result) {
+				done(new Error('expected modify to fail : ' + JSON.stringify(result)));
+			}, function(err) {
+				console.log(err);
+				expect(err).to.be.instanceof(errors.VersionConflictError);
+				expect(err.cause).to.be.instanceof(errors.VersionConflictError);
+				done();
+			});
+		}, done);
+	});
+
+	it('can update an Entity with a partial document', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function(result) {
+			when(db.updateEntity({
+				id : entity.id,
+				doc : {
+					maxConns : 20
+				},
+				version : result._version,
+				updatedBy : 'azappala'
+			}), function(result) {
+				console.log('update response : ' + JSON.stringify(result, undefined, 2));
+				expect(result._version).to.equal(2);
+				when(db.getEntity(entity.id), function(result) {
+					console.log('get response after update : ' + JSON.stringify(result, undefined, 2));
+					expect(result._source.maxConns).to.equal(20);
+					expect(result._source.updatedBy).to.equal('azappala');
+					expect(new Date(result._source.updatedOn).getTime()).to.be.at.least(new Date(entity.updatedOn).getTime());
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('can update an Entity with a script', function(done) {
+		var entity = new Entity();
+		entity.count = 1;
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function() {
+			when(db.updateEntity({
+				id : entity.id,
+				script : 'ctx._source.count += n',
+				params : {
+					n : 2
+				},
+				retryOnConflict : 3,
+				updatedBy : 'azappala'
+			}), function(result) {
+				console.log('update response : ' + JSON.stringify(result, undefined, 2));
+				when(db.getEntity(entity.id), function(result) {
+					console.log('get response after update : ' + JSON.stringify(result, undefined, 2));
+					expect(result._source.count).to.equal(3);
+					expect(result._source.updatedBy).to.equal('azappala');
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#updateEntity - indexes the upsert document if the Entity does not exist', function(done) {
+		var id = uuid();
+		idsToDelete.push(id);
+		when(db.updateEntity({
+			id : id,
+			doc : {
+				maxConns : 20
+			},
+			upsert : {
+				maxConns : 10
+			},
+			updatedBy : 'azappala'
+		}), function(result) {
+			console.log('update response : ' + JSON.stringify(result, undefined, 2));
+			expect(result.created).to.equal(true);
+			when(db.getEntity(id), function(result) {
+				console.log('get response after update : ' + JSON.stringify(result, undefined, 2));
+				expect(result._source.maxConns).to.equal(10);
+				expect(result._source.id).to.equal(id);
+				expect(result._source.createdOn).to.be.a('string');
+				expect(result._source.createdBy).to.equal('azappala');
+				expect(result._source.updatedBy).to.equal(undefined);
+
+				when(db.updateEntity({
+					id : id,
+					doc : {
+						maxConns : 20
+					},
+					upsert : {
+						maxConns : 10
+					},
+					updatedBy : 'jdoe'
+				}), function(result) {
+					expect(result.created).to.equal(false);
+					when(db.getEntity(id), function(result) {
+						expect(result._source.maxConns).to.equal(20);
+						expect(result._source.createdBy).to.equal('azappala');
+						expect(result._source.updatedBy).to.equal('jdoe');
+						done();
+					}, done);
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#setEntity - upsert mode creates the Entity if it does not exist, and otherwise keeps createdOn and createdBy', function(done) {
+		var entity = new Entity();
+		entity.maxConns = 10;
+		idsToDelete.push(entity.id);
+		when(db.setEntity({
+			entity : entity,
+			upsert : true,
+			updatedBy : 'azappala'
+		}), function(result) {
+			console.log('upsert response : ' + JSON.stringify(result, undefined, 2));
+			expect(result.created).to.equal(true);
+			when(db.getEntity(entity.id), function(result) {
+				var created = result._source;
+				expect(created.createdBy).to.equal('azappala');
+
+				var updatedEntity = new Entity({
+					id : entity.id
+				});
+				updatedEntity.maxConns = 20;
+				when(db.setEntity({
+					entity : updatedEntity,
+					upsert : true,
+					updatedBy : 'jdoe'
+				}), function(result) {
+					console.log('upsert response : ' + JSON.stringify(result, undefined, 2));
+					expect(result.created).to.equal(false);
+					when(db.getEntity(entity.id), function(result) {
+						console.log('get response after upsert : ' + JSON.stringify(result, undefined, 2));
+						expect(result._source.maxConns).to.equal(20);
+						expect(result._source.createdOn).to.equal(created.createdOn);
+						expect(result._source.createdBy).to.equal('azappala');
+						expect(result._source.updatedBy).to.equal('jdoe');
+						done();
+					}, done);
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#updateEntity - an upsert after the Entity was deleted reports that the Entity was created', function(done) {
+		var id = uuid();
+		idsToDelete.push(id);
+		var upsert = function() {
+			return db.updateEntity({
+				id : id,
+				doc : {
+					maxConns : 20
+				},
+				upsert : {
+					maxConns : 10
+				},
+				updatedBy : 'azappala'
+			}, true);
+		};
+
+		when(upsert(), function(result) {
+			expect(result.created).to.equal(true);
+			return db.deleteEntity(id, true);
+		}).then(function() {
+			return upsert();
+		}).then(function(result) {
+			console.log('upsert response after delete : ' + JSON.stringify(result, undefined, 2));
+			// elasticsearch keeps the version of a deleted document for a while
+			expect(result._version).to.be.gt(1);
+			expect(result.created).to.equal(true);
+			return db.getEntity(id);
+		}).then(function(result) {
+			expect(result._source.maxConns).to.equal(10);
+			expect(result._source.createdBy).to.equal('azappala');
+			done();
+		}).then(null, done);
+	});
+
+	it('#updateEntity - updating an Entity that does not exist will fail', function(done) {
+		when(db.updateEntity({
+			id : uuid(),
+			doc : {
+				maxConns : 20
+			}
+		}), function(result) {
+			done(new Error('expected update to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.NotFoundError);
+			expect(err.code).to.equal('NOT_FOUND');
+			done();
+		});
+	});
+
+	it('#updateEntity validates its params', function(done) {
+		var invalidParams = [ undefined, {
+			doc : {}
+		}, {
+			id : uuid()
+		}, {
+			id : uuid(),
+			doc : {},
+			script : 'ctx._source.count += 1'
+		}, {
+			id : uuid(),
+			doc : {},
+			version : 1,
+			retryOnConflict : 3
+		} ];
+
+		when(when.all(invalidParams.map(function(params) {
+			return when(db.updateEntity(params), function(result) {
+				throw new Error('expected update to fail : ' + JSON.stringify(result));
+			}, function(err) {
+				console.log('+++ ' + err);
+			});
+		})), function() {
+			done();
+		}, done);
+	});
+
 	it('can retrieve multiple entities in a single request', function(done) {
 		var promises = [];
 		var i;
@@ -440,6 +797,97 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('can retrieve entities as Entity instances, with the ids that were not found', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		var missingId = uuid();
+		when(db.createEntity(entity, true), function() {
+			return db.getEntity(entity.id, {
+				hydrate : true
+			});
+		}).then(function(result) {
+			console.log(JSON.stringify(result, undefined, 2));
+			expect(result).to.be.instanceof(Entity);
+			expect(result.id).to.equal(entity.id);
+			expect(result._version).to.equal(1);
+			expect(lodash.keys(result)).to.not.include('_version');
+			return db.getEntities([ entity.id, missingId ], {
+				hydrate : true
+			});
+		}).then(function(result) {
+			expect(result.entities.length).to.equal(1);
+			expect(result.entities[0]).to.be.instanceof(Entity);
+			expect(result.entities[0].id).to.equal(entity.id);
+			expect(result.missing).to.eql([ missingId ]);
+			return db.getEntities([ entity.id, missingId ]);
+		}).then(function(result) {
+			expect(result.docs.length).to.equal(2);
+			expect(result.missing).to.eql([ missingId ]);
+			return db.findAll({}, {
+				hydrate : true
+			});
+		}).then(function(result) {
+			console.log('result.total = ' + result.total);
+			expect(result.total).to.be.gt(0);
+			result.entities.forEach(function(entity) {
+				expect(entity).to.be.instanceof(Entity);
+				expect(entity._version).to.be.gt(0);
+			});
+			done();
+		}).then(null, done);
+	});
+
+	it('#getEntity - hydration fails with a ValidationError if the entityConstructor throws', function(done) {
+		var StrictEntity = function(source) {
+			if (!source.createdOn) {
+				throw new Error('createdOn is required');
+			}
+			Entity.call(this, source);
+		};
+		StrictEntity.prototype = Object.create(Entity.prototype);
+		var strictDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : StrictEntity
+		});
+		var entity = new Entity();
+		entity.lname = uuid();
+		idsToDelete.push(entity.id);
+
+		when(db.createEntity(entity, true), function() {
+			return when.settle([ strictDb.getEntity(entity.id, {
+				hydrate : true
+			}), strictDb.findByField({
+				field : 'lname',
+				value : entity.lname,
+				returnFields : [ 'id' ]
+			}, {
+				hydrate : true
+			}) ]);
+		}).then(function(results) {
+			console.log(JSON.stringify(results, undefined, 2));
+			expect(results[0].reason).to.be.instanceof(errors.ValidationError);
+			expect(results[0].reason.id).to.equal(entity.id);
+			expect(results[1].reason).to.be.instanceof(errors.ValidationError);
+			expect(results[1].reason.id).to.equal(entity.id);
+			done();
+		}).then(null, done);
+	});
+
+	it('#getEntity - hydrate must be a Boolean', function(done) {
+		when(db.getEntity(uuid(), {
+			hydrate : 'true'
+		}), function() {
+			done(new Error('Expected validation error'));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.ValidationError);
+			expect(err.code).to.equal('VALIDATION_ERROR');
+			done();
+		});
+	});
+
 	it('can create multiple entities in a bulk request', function(done) {
 		var entities = [];
 		var i;
@@ -449,11 +897,9 @@ describe('EntityDatabase', function() {
 
 		when(db.createEntities(entities), function(result) {
 			console.log(JSON.stringify(result, undefined, 2));
-			var items = result.items;
-			expect(items.length).to.equal(10);
-			items.forEach(function(item) {
-				expect(item.index.ok).to.equal(true);
-			});
+			expect(result.succeeded.length).to.equal(10);
+			expect(result.conflicted.length).to.equal(0);
+			expect(result.invalid.length).to.equal(0);
 
 			var ids = entities.map(function(entity) {
 				return entity.id;
@@ -469,18 +915,69 @@ describe('EntityDatabase', function() {
 
 	});
 
-	it('#createEntities validates its args', function(done) {
-		var promises = [];
+	it('can set multiple entities in a bulk request with per entity version checks', function(done) {
+		var entity1 = new Entity();
+		var entity2 = new Entity();
+		var entity3 = new Entity();
+		idsToDelete = idsToDelete.concat([ entity1.id, entity2.id, entity3.id ]);
+
+		when(db.createEntities([ entity1, entity2 ]), function() {
+			entity1.maxConns = 10;
+			entity2.maxConns = 20;
+			entity3.maxConns = 30;
+			when(db.setEntities([ {
+				entity : entity1,
+				version : 1
+			}, {
+				entity : entity2,
+				version : 5
+			}, {
+				entity : entity3,
+				updatedBy : 'jdoe'
+			}, {
+				version : 1
+			} ], {
+				updatedBy : 'azappala',
+				refresh : true
+			}), function(result) {
+				console.log(JSON.stringify(result, undefined, 2));
+				expect(result.succeeded).to.eql([ entity1.id, entity3.id ]);
+				expect(result.conflicted).to.eql([ entity2.id ]);
+				expect(result.invalid.length).to.equal(1);
+				expect(result.failed.length).to.equal(0);
+
+				when(db.getEntities([ entity1.id, entity2.id, entity3.id ]), function(result) {
+					expect(result.docs[0]._version).to.equal(2);
+					expect(result.docs[0]._source.maxConns).to.equal(10);
+					expect(result.docs[0]._source.updatedBy).to.equal('azappala');
+					expect(result.docs[1]._version).to.equal(1);
+					expect(result.docs[2]._source.updatedBy).to.equal('jdoe');
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
 
-		promises.push(when(db.createEntities(), function() {
-			done(new Error('should have failed because of invalid args'));
+	it('#setEntities validates its args', function(done) {
+		when(db.setEntities(), function() {
+			done(new Error('expected error'));
 		}, function(err) {
 			console.log(err);
-		}));
+			when(db.setEntities([], {
+				refresh : 'true'
+			}), function() {
+				done(new Error('expected error'));
+			}, function(err) {
+				console.log(err);
+				done();
+			});
+		});
+	});
 
-		promises.push(when(db.createEntities([ {
-			createdBy : new Date()
-		} ]), function() {
+	it('#createEntities validates its args', function(done) {
+		var promises = [];
+
+		promises.push(when(db.createEntities(), function() {
 			done(new Error('should have failed because of invalid args'));
 		}, function(err) {
 			console.log(err);
@@ -491,6 +988,29 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('#createEntities validates each entity and does not overwrite existing entities', function(done) {
+		var existingEntity = new Entity();
+		var newEntity = new Entity();
+		idsToDelete.push(existingEntity.id);
+		idsToDelete.push(newEntity.id);
+
+		var invalidEntity = new Entity();
+		invalidEntity.createdBy = new Date();
+
+		when(db.createEntity(existingEntity), function() {
+			when(db.createEntities([ existingEntity, newEntity, invalidEntity ]), function(result) {
+				console.log(JSON.stringify(result, undefined, 2));
+				expect(result.succeeded).to.eql([ newEntity.id ]);
+				expect(result.conflicted).to.eql([ existingEntity.id ]);
+				expect(result.invalid.length).to.equal(1);
+				expect(result.invalid[0].id).to.equal(invalidEntity.id);
+				expect(result.invalid[0].error).to.be.instanceof(errors.ValidationError);
+				expect(result.failed.length).to.equal(0);
+				done();
+			}, done);
+		}, done);
+	});
+
 	it('#createEntities with empty array returns undefined', function(done) {
 		when(db.createEntities([]), function(result) {
 			try {
@@ -504,6 +1024,191 @@ describe('EntityDatabase', function() {
 		});
 	});
 
+	it('can create, index, update, and delete entities in a single bulk request', function(done) {
+		var entityToCreate = new Entity();
+		var entityToIndex = new Entity();
+		var entityToUpdate = new Entity();
+		var entityToDelete = new Entity();
+		idsToDelete = idsToDelete.concat([ entityToCreate.id, entityToIndex.id, entityToUpdate.id ]);
+
+		when(db.createEntities([ entityToIndex, entityToUpdate, entityToDelete ]), function() {
+			entityToIndex.maxConns = 10;
+			when(db.bulk([ {
+				create : entityToCreate
+			}, {
+				index : {
+					entity : entityToIndex,
+					version : 1,
+					updatedBy : 'azappala'
+				}
+			}, {
+				update : {
+					id : entityToUpdate.id,
+					doc : {
+						maxConns : 20
+					}
+				}
+			}, {
+				'delete' : {
+					id : entityToDelete.id
+				}
+			}, {
+				update : {
+					id : entityToUpdate.id
+				}
+			} ], true), function(result) {
+				console.log(JSON.stringify(result, undefined, 2));
+				expect(result.errors).to.equal(true);
+				expect(result.items.length).to.equal(5);
+				expect(lodash.pluck(result.items, 'action')).to.eql([ 'create', 'index', 'update', 'delete', 'update' ]);
+				result.items.slice(0, 4).forEach(function(item) {
+					expect(item.ok).to.equal(true);
+				});
+				expect(result.items[1].version).to.equal(2);
+				expect(result.items[3].found).to.equal(true);
+				expect(result.items[4].ok).to.equal(false);
+				expect(result.items[4].invalid).to.equal(true);
+
+				when(db.getEntities([ entityToIndex.id, entityToUpdate.id ]), function(result) {
+					expect(result.docs[0]._source.maxConns).to.equal(10);
+					expect(result.docs[0]._source.updatedBy).to.equal('azappala');
+					expect(result.docs[1]._source.maxConns).to.equal(20);
+					done();
+				}, done);
+			}, done);
+		}, done);
+	});
+
+	it('#bulk - reports version conflicts per operation', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		when(db.createEntity(entity), function() {
+			when(db.bulk([ {
+				create : entity
+			}, {
+				'delete' : {
+					id : entity.id,
+					version : 5
+				}
+			} ]), function(result) {
+				console.log(JSON.stringify(result, undefined, 2));
+				expect(result.errors).to.equal(true);
+				result.items.forEach(function(item) {
+					expect(item.ok).to.equal(false);
+					expect(item.conflict).to.equal(true);
+				});
+				done();
+			}, done);
+		}, done);
+	});
+
+	it('#createEntities - sends large arrays in chunks and reports progress', function(done) {
+		var entities = [];
+		var i;
+		for (i = 0; i < 25; i++) {
+			entities.push(new Entity());
+		}
+		var ids = lodash.pluck(entities, 'id');
+		idsToDelete = idsToDelete.concat(ids);
+
+		var progressEvents = [];
+		var onBulkProgress = function(progress) {
+			progressEvents.push(progress);
+		};
+		db.on('bulkProgress', onBulkProgress);
+
+		var callbackProgress = [];
+		when(db.createEntities(entities, {
+			chunkSize : 10,
+			concurrency : 2,
+			onProgress : function(progress) {
+				callbackProgress.push(progress);
+			}
+		}), function(result) {
+			db.removeListener('bulkProgress', onBulkProgress);
+			console.log(JSON.stringify(progressEvents, undefined, 2));
+			expect(result.succeeded.length).to.equal(25);
+			expect(lodash.sortBy(result.succeeded)).to.eql(lodash.sortBy(ids));
+			expect(callbackProgress.length).to.equal(3);
+			expect(progressEvents.length).to.equal(3);
+			expect(progressEvents[2].chunks).to.equal(3);
+			expect(progressEvents[2].completedChunks).to.equal(3);
+			expect(progressEvents[2].completed).to.equal(25);
+
+			when(db.deleteEntities(ids, {
+				chunkBytes : 1024
+			}), function(result) {
+				expect(result.items.length).to.equal(25);
+				done();
+			}, done);
+		}, function(err) {
+			db.removeListener('bulkProgress', onBulkProgress);
+			done(err);
+		});
+	});
+
+	it('can buffer single entity writes and send them as a bulk request', function(done) {
+		var bufferedDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			writeBuffer : {
+				maxSize : 10,
+				interval : 60000
+			}
+		});
+
+		var requests = [];
+		bufferedDb.on('request', function(event) {
+			requests.push(event);
+		});
+
+		var entity1 = new Entity();
+		var entity2 = new Entity();
+		idsToDelete = idsToDelete.concat([ entity1.id, entity2.id ]);
+
+		var writes = [ bufferedDb.createEntity(entity1), bufferedDb.createEntity(entity2), bufferedDb.createEntity(entity1) ];
+		expect(bufferedDb.writeBuffer.size()).to.equal(3);
+		when(bufferedDb.flush(), function() {
+			console.log(JSON.stringify(requests, undefined, 2));
+			expect(requests.length).to.equal(1);
+			expect(requests[0].operation).to.equal('flush');
+
+			when(when.settle(writes), function(results) {
+				console.log(JSON.stringify(results, undefined, 2));
+				expect(results[0].state).to.equal('fulfilled');
+				expect(results[0].value._id).to.equal(entity1.id);
+				expect(results[1].state).to.equal('fulfilled');
+				expect(results[1].value._id).to.equal(entity2.id);
+				expect(results[2].state).to.equal('rejected');
+				expect(results[2].reason).to.be.instanceof(errors.VersionConflictError);
+				done();
+			}, done);
+		}, done);
+	});
+
+	it('#bulk validates its args', function(done) {
+		when(db.bulk(), function() {
+			done(new Error('expected error'));
+		}, function(err) {
+			console.log(err);
+			when(db.bulk([], 'true'), function() {
+				done(new Error('expected error'));
+			}, function(err) {
+				console.log(err);
+				when(db.bulk([], false, {
+					chunkSize : 0
+				}), function() {
+					done(new Error('expected error'));
+				}, function(err) {
+					console.log(err);
+					done();
+				});
+			});
+		});
+	});
+
 	it('can delete an Entity', function(done) {
 		var entity = new Entity();
 		when(db.createEntity(entity), function(result) {
@@ -585,11 +1290,9 @@ describe('EntityDatabase', function() {
 
 		when(db.createEntities(entities), function(result) {
 			console.log(JSON.stringify(result, undefined, 2));
-			var items = result.items;
-			expect(items.length).to.equal(10);
-			items.forEach(function(item) {
-				expect(item.index.ok).to.equal(true);
-			});
+			expect(result.succeeded.length).to.equal(10);
+			expect(result.conflicted.length).to.equal(0);
+			expect(result.invalid.length).to.equal(0);
 
 			var ids = entities.map(function(entity) {
 				return entity.id;
@@ -643,6 +1346,470 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('can delete entities by field value, and count them first in dry run mode', function(done) {
+		var lname = uuid();
+		var promises = [];
+		var ids = [];
+		var i, entity;
+		for (i = 0; i < 3; i++) {
+			entity = new Entity();
+			entity.lname = lname;
+			ids.push(entity.id);
+			promises.push(db.createEntity(entity, true));
+		}
+		idsToDelete = idsToDelete.concat(ids);
+
+		when(when.all(promises), function() {
+			return db.deleteByField({
+				field : 'lname',
+				value : lname
+			}, {
+				dryRun : true
+			});
+		}).then(function(result) {
+			console.log('dry run : ' + JSON.stringify(result));
+			expect(result).to.eql({
+				matched : 3,
+				deleted : 0
+			});
+			return db.deleteByField({
+				field : 'lname',
+				value : lname
+			});
+		}).then(function(result) {
+			console.log('deleteByField() : ' + JSON.stringify(result));
+			expect(result).to.eql({
+				matched : 3,
+				deleted : 3
+			});
+			return db.refreshIndex();
+		}).then(function() {
+			return db.existsMany(ids);
+		}).then(function(exists) {
+			ids.forEach(function(id) {
+				expect(exists[id]).to.equal(false);
+			});
+			done();
+		}).then(null, done);
+	});
+
+	it('#deleteByField and #deleteByQuery validate their args', function(done) {
+		var expectValidationError = function(promise) {
+			return when(promise, function(result) {
+				throw new Error('Expected validation error : ' + JSON.stringify(result));
+			}, function(err) {
+				console.log(err);
+				expect(err).to.be.instanceof(errors.ValidationError);
+			});
+		};
+
+		when.all([ expectValidationError(db.deleteByField()), expectValidationError(db.deleteByField({
+			field : 'lname'
+		})), expectValidationError(db.deleteByField({
+			field : 'lname',
+			value : 'Zappala',
+			range : {
+				from : 'A'
+			}
+		})), expectValidationError(db.deleteByQuery({})), expectValidationError(db.deleteByQuery(ejs.TermFilter('lname', 'Zappala'), {
+			dryRun : 'true'
+		})) ]).then(function() {
+			done();
+		}, done);
+	});
+
+	it('can update entities by field value in batches', function(done) {
+		var lname = uuid();
+		var promises = [];
+		var ids = [];
+		var i, entity;
+		for (i = 0; i < 5; i++) {
+			entity = new Entity();
+			entity.lname = lname;
+			ids.push(entity.id);
+			promises.push(db.createEntity(entity, true));
+		}
+		idsToDelete = idsToDelete.concat(ids);
+
+		when(when.all(promises), function() {
+			return db.updateByField({
+				field : 'lname',
+				value : lname
+			}, {
+				doc : {
+					fname : 'Alfio'
+				}
+			}, {
+				batchSize : 2,
+				updatedBy : 'azappala',
+				refresh : true
+			});
+		}).then(function(result) {
+			console.log('updateByField() : ' + JSON.stringify(result));
+			expect(result.matched).to.equal(5);
+			expect(result.updated).to.equal(5);
+			expect(result.conflicted).to.equal(0);
+			expect(result.failed).to.equal(0);
+			return db.getEntities(ids, {
+				hydrate : true
+			});
+		}).then(function(result) {
+			expect(result.entities.length).to.equal(5);
+			result.entities.forEach(function(entity) {
+				expect(entity.fname).to.equal('Alfio');
+				expect(entity.updatedBy).to.equal('azappala');
+				expect(entity._version).to.equal(2);
+			});
+			done();
+		}).then(null, done);
+	});
+
+	it('#updateByField validates its args', function(done) {
+		var expectValidationError = function(promise) {
+			return when(promise, function(result) {
+				throw new Error('Expected validation error : ' + JSON.stringify(result));
+			}, function(err) {
+				console.log(err);
+				expect(err).to.be.instanceof(errors.ValidationError);
+			});
+		};
+		var params = {
+			field : 'lname',
+			value : 'Zappala'
+		};
+
+		when.all([ expectValidationError(db.updateByField({
+			field : 'lname'
+		}, {
+			doc : {}
+		})), expectValidationError(db.updateByField(params)), expectValidationError(db.updateByField(params, {
+			doc : {},
+			script : 'ctx._source.count += 1'
+		})), expectValidationError(db.updateByField(params, {
+			doc : {}
+		}, {
+			batchSize : 0
+		})) ]).then(function() {
+			done();
+		}, done);
+	});
+
+	it('can soft delete and restore entities', function(done) {
+		var softDeleteDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			softDelete : true
+		});
+		var entity = new Entity();
+		entity.lname = uuid();
+		idsToDelete.push(entity.id);
+		var counts;
+
+		when(softDeleteDb.createEntity(entity, true), function() {
+			return softDeleteDb.deleteEntity(entity.id, true, {
+				deletedBy : 'azappala'
+			});
+		}).then(function(result) {
+			console.log('deleteEntity() : ' + JSON.stringify(result));
+			expect(result.found).to.equal(true);
+			return when(softDeleteDb.getEntity(entity.id), function() {
+				throw new Error('expected soft deleted entity to be excluded');
+			}, function(err) {
+				expect(err).to.be.instanceof(errors.NotFoundError);
+				return softDeleteDb.getEntity(entity.id, {
+					includeDeleted : true,
+					hydrate : true
+				});
+			});
+		}).then(function(deletedEntity) {
+			expect(deletedEntity.deletedOn).to.be.a('string');
+			expect(deletedEntity.deletedBy).to.equal('azappala');
+			return softDeleteDb.findByField({
+				field : 'lname',
+				value : entity.lname
+			});
+		}).then(function(result) {
+			expect(result.hits.total).to.equal(0);
+			return when.all([ softDeleteDb.getCount(), softDeleteDb.getCount({
+				includeDeleted : true
+			}) ]);
+		}).then(function(results) {
+			counts = results;
+			console.log('counts : ' + JSON.stringify(counts));
+			expect(counts[1].count).to.be.gt(counts[0].count);
+			return softDeleteDb.restoreEntity(entity.id, true);
+		}).then(function() {
+			return softDeleteDb.getEntity(entity.id, {
+				hydrate : true
+			});
+		}).then(function(restoredEntity) {
+			expect(restoredEntity.id).to.equal(entity.id);
+			expect(restoredEntity.deletedOn).to.be.an('undefined');
+			expect(restoredEntity.deletedBy).to.be.an('undefined');
+			done();
+		}).then(null, done);
+	});
+
+	it('soft deletes entities matched by deleteByField and bulk delete operations', function(done) {
+		var softDeleteDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			softDelete : true
+		});
+		var lname = uuid();
+		var entities = [ new Entity(), new Entity(), new Entity() ];
+		entities.forEach(function(entity) {
+			entity.lname = lname;
+			idsToDelete.push(entity.id);
+		});
+
+		when(softDeleteDb.createEntities(entities), function() {
+			return softDeleteDb.refreshIndex();
+		}).then(function() {
+			return softDeleteDb.bulk([ {
+				"delete" : {
+					id : entities[0].id,
+					deletedBy : 'azappala'
+				}
+			} ]);
+		}).then(function(result) {
+			console.log('bulk() : ' + JSON.stringify(result));
+			expect(result.errors).to.equal(false);
+			expect(result.items[0].action).to.equal('delete');
+			expect(result.items[0].found).to.equal(true);
+			return softDeleteDb.refreshIndex();
+		}).then(function() {
+			return softDeleteDb.deleteByField({
+				field : 'lname',
+				value : lname
+			}, {
+				deletedBy : 'azappala'
+			});
+		}).then(function(result) {
+			console.log('deleteByField() : ' + JSON.stringify(result));
+			expect(result.matched).to.equal(2);
+			expect(result.deleted).to.equal(2);
+			expect(result.failures.length).to.equal(0);
+			return when.all(entities.map(function(entity) {
+				return softDeleteDb.getEntity(entity.id, {
+					includeDeleted : true,
+					hydrate : true
+				});
+			}));
+		}).then(function(deletedEntities) {
+			deletedEntities.forEach(function(deletedEntity) {
+				expect(deletedEntity.deletedOn).to.be.a('string');
+				expect(deletedEntity.deletedBy).to.equal('azappala');
+			});
+			done();
+		}).then(null, done);
+	});
+
+	it('#updateByField - soft deleted entities are not updated unless includeDeleted is set', function(done) {
+		var softDeleteDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			softDelete : true
+		});
+		var lname = uuid();
+		var entities = [ new Entity(), new Entity() ];
+		entities.forEach(function(entity) {
+			entity.lname = lname;
+			idsToDelete.push(entity.id);
+		});
+		var params = {
+			field : 'lname',
+			value : lname
+		};
+		var update = {
+			doc : {
+				status : 'ACTIVE'
+			}
+		};
+
+		when(softDeleteDb.createEntities(entities), function() {
+			return softDeleteDb.deleteEntity(entities[0].id, true);
+		}).then(function() {
+			return softDeleteDb.updateByField(params, update, {
+				refresh : true
+			});
+		}).then(function(result) {
+			console.log('updateByField() : ' + JSON.stringify(result));
+			expect(result.matched).to.equal(1);
+			expect(result.updated).to.equal(1);
+			return softDeleteDb.getEntity(entities[0].id, {
+				includeDeleted : true
+			});
+		}).then(function(result) {
+			expect(result._source.status).to.equal(undefined);
+			return softDeleteDb.updateByField(params, update, {
+				refresh : true,
+				includeDeleted : true
+			});
+		}).then(function(result) {
+			expect(result.matched).to.equal(2);
+			expect(result.updated).to.equal(2);
+			done();
+		}).then(null, done);
+	});
+
+	it('#restoreEntity - restoring an Entity that does not exist will fail', function(done) {
+		var softDeleteDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			softDelete : true
+		});
+		when(softDeleteDb.restoreEntity(uuid()), function(result) {
+			done(new Error('expected restore to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.NotFoundError);
+			done();
+		});
+	});
+
+	it('#restoreEntity - requires soft delete mode', function(done) {
+		when(db.restoreEntity(uuid()), function(result) {
+			done(new Error('expected restore to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.ValidationError);
+			done();
+		});
+	});
+
+	it('can save entity versions to the history type, and diff them', function(done) {
+		var historyDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			history : {}
+		});
+		var entity = new Entity();
+		entity.fname = 'Alfio';
+		entity.lname = 'Zappala';
+		idsToDelete.push(entity.id);
+
+		when(historyDb.createEntity(entity, true), function() {
+			entity.fname = 'Al';
+			return historyDb.setEntity({
+				entity : entity,
+				updatedBy : 'azappala'
+			}, true);
+		}).then(function() {
+			return historyDb.updateEntity({
+				id : entity.id,
+				doc : {
+					lname : 'Z'
+				}
+			}, true);
+		}).then(function(result) {
+			expect(result._version).to.equal(3);
+			return historyDb.getEntityHistory(entity.id);
+		}).then(function(history) {
+			console.log('getEntityHistory() : ' + JSON.stringify(history, undefined, 2));
+			expect(history.total).to.equal(2);
+			expect(history.versions.map(function(version) {
+				return version.version;
+			})).to.eql([ 2, 1 ]);
+			expect(history.versions[1].entity.fname).to.equal('Alfio');
+			expect(history.versions[1].entity._version).to.equal(1);
+			return when.all([ historyDb.getEntityAtVersion(entity.id, 1), historyDb.getEntityAtVersion(entity.id, 3) ]);
+		}).then(function(entities) {
+			expect(entities[0].fname).to.equal('Alfio');
+			expect(entities[1].fname).to.equal('Al');
+			expect(entities[1].lname).to.equal('Z');
+			return historyDb.diffEntityVersions(entity.id, 1, 3);
+		}).then(function(diff) {
+			console.log('diffEntityVersions() : ' + JSON.stringify(diff, undefined, 2));
+			var changes = lodash.indexBy(diff.changes, 'field');
+			expect(changes.fname).to.eql({
+				field : 'fname',
+				change : 'changed',
+				from : 'Alfio',
+				to : 'Al'
+			});
+			expect(changes.lname.to).to.equal('Z');
+			expect(changes.updatedBy.change).to.equal('added');
+			expect(changes.createdOn).to.be.an('undefined');
+			done();
+		}).then(null, done);
+	});
+
+	it('#getEntityAtVersion - requires history mode, and a version that exists', function(done) {
+		var historyDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			history : {}
+		});
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+
+		when(historyDb.createEntity(entity, true), function() {
+			return when.settle([ db.getEntityAtVersion(entity.id, 1), historyDb.getEntityAtVersion(entity.id, 2),
+					historyDb.getEntityAtVersion(entity.id, '1') ]);
+		}).then(function(results) {
+			expect(results[0].reason).to.be.instanceof(errors.ValidationError);
+			expect(results[1].reason).to.be.instanceof(errors.NotFoundError);
+			expect(results[2].reason).to.be.instanceof(errors.ValidationError);
+			done();
+		}).then(null, done);
+	});
+
+	it('history mode rejects bulk writes, which do not save history', function(done) {
+		var historyDb = new EntityDatabase({
+			ejs : ejs,
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity,
+			history : {}
+		});
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+		var params = {
+			field : 'id',
+			value : entity.id
+		};
+
+		when.settle([ historyDb.bulk([ {
+			"delete" : {
+				id : entity.id
+			}
+		} ]), historyDb.setEntities([ {
+			entity : entity
+		} ]), historyDb.deleteEntities([ entity.id ]), historyDb.deleteByField(params), historyDb.deleteByQuery(ejs.TermFilter('id', entity.id)),
+				historyDb.updateByField(params, {
+					doc : {
+						status : 'ACTIVE'
+					}
+				}) ]).then(function(results) {
+			results.forEach(function(result) {
+				expect(result.reason).to.be.instanceof(errors.ValidationError);
+			});
+			return when.all([ historyDb.bulk([ {
+				create : entity
+			} ], true), historyDb.deleteByField(params, {
+				dryRun : true
+			}) ]);
+		}).then(function(results) {
+			expect(results[0].errors).to.equal(false);
+			expect(results[1].matched).to.equal(1);
+			expect(results[1].deleted).to.equal(0);
+			done();
+		}).then(null, done);
+	});
+
 	it('can count the total number of entities', function(done) {
 		var entities = [];
 		var i;
@@ -658,11 +1825,7 @@ describe('EntityDatabase', function() {
 				when(db.refreshIndex(),
 					function(){
 						console.log(JSON.stringify(result, undefined, 2));
-						var items = result.items;
-						expect(items.length).to.equal(10);
-						items.forEach(function(item) {
-							expect(item.index.ok).to.equal(true);
-						});
+						expect(result.succeeded.length).to.equal(10);
 
 						var ids = entities.map(function(entity) {
 							return entity.id;
@@ -913,8 +2076,7 @@ describe('EntityDatabase', function() {
 
 		when(db.createEntities(entities), 
 			function(result) {
-				console.log('created results: ' + result.items.length);
-				db.getEntity(result.items[0]._index);
+				console.log('created results: ' + result.succeeded.length);
 				db.refreshIndex().then(					
 					function(){
 						console.log('refreshed index');
@@ -1059,6 +2221,17 @@ describe('EntityDatabase', function() {
 		}, done);
 	});
 
+	it('#findByField validates its params', function(done) {
+		when.settle([ db.findByField(), db.findByField('lname'), db.findByField({
+			value : 'Zappala'
+		}) ]).then(function(results) {
+			results.forEach(function(result) {
+				expect(result.reason).to.be.instanceof(errors.ValidationError);
+			});
+			done();
+		}).then(null, done);
+	});
+
 	it('#findByField can search by field value', function(done) {
 		var entities = [];
 		var promises = [];
@@ -1255,6 +2428,18 @@ describe('EntityDatabase', function() {
 			});
 	});
 
+	it('#createIndex - creating an index that already exists will fail',function(done){
+		when(db.createIndex({}),
+			function(result){
+				done(new Error('expected error : ' + JSON.stringify(result)));
+			},function(err){
+				console.log(err);
+				expect(err).to.be.instanceof(errors.EntityDatabaseError);
+				expect(err.response.error).to.contain('IndexAlreadyExistsException');
+				done();
+			}).then(null, done);
+	});
+
 	it('#deleteEntity - refresh param must be a Boolean',function(done){
 		when(db.deleteEntity('adasda','adasda'),
 			function(){
@@ -1264,4 +2449,107 @@ describe('EntityDatabase', function() {
 				done();
 			});
 	});
+
+	it('emits request events and tracks request stats per operation', function(done) {
+		var entity = new Entity();
+		idsToDelete.push(entity.id);
+
+		var events = [];
+		var onRequest = function(event) {
+			events.push(event);
+		};
+		db.on('request', onRequest);
+		db.resetStats();
+
+		when(db.createEntity(entity), function() {
+			when(db.getEntity(entity.id), function() {
+				db.removeListener('request', onRequest);
+				console.log(JSON.stringify(db.stats(), undefined, 2));
+				expect(events.length).to.equal(2);
+				expect(events[0].operation).to.equal('createEntity');
+				expect(events[0].index).to.equal('entity_database_test');
+				expect(events[0].type).to.equal('entity_database_test');
+				expect(events[0].method).to.equal('PUT');
+				expect(events[1].operation).to.equal('getEntity');
+				expect(events[1].method).to.equal('GET');
+
+				var stats = db.stats();
+				expect(stats.createEntity.count).to.equal(1);
+				expect(stats.createEntity.errors).to.equal(0);
+				expect(stats.getEntity.count).to.equal(1);
+				expect(stats.getEntity.latency.p99).to.be.at.least(0);
+				done();
+			}, done);
+		}, done);
+	});
+
+	it('#getEntity - fails with ABORTED when the request is cancelled', function(done) {
+		var cancellation = new Cancellation();
+		when(db.getEntity(uuid(), {
+			cancellation : cancellation
+		}), function(result) {
+			done(new Error('expected request to be aborted : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.AbortedError);
+			expect(err).to.be.instanceof(errors.TransportError);
+			expect(err.code).to.equal('ABORTED');
+			expect(err.cause.code).to.equal('ABORTED');
+			done();
+		});
+		cancellation.cancel();
+	});
+
+	it('#getEntity - request options must be valid', function(done) {
+		when(db.getEntity(uuid(), {
+			timeout : 0
+		}), function() {
+			done(new Error('expected error'));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.ValidationError);
+			when(db.getEntity(uuid(), {
+				cancellation : {}
+			}), function() {
+				done(new Error('expected error'));
+			}, function(err) {
+				console.log(err);
+				done();
+			});
+		});
+	});
+
+	it('#getEntity - request options require an ElasticSearchClient\'s client', function(done) {
+		var nodeClientDb = new EntityDatabase({
+			ejs : require('elastic.js'),
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity
+		});
+		when(nodeClientDb.getEntity(uuid(), {
+			timeout : 1000
+		}), function() {
+			done(new Error('expected error'));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.ValidationError);
+			done();
+		}).then(null, done);
+	});
+
+	it('#entityExists - requires an ElasticSearchClient\'s client', function(done) {
+		var nodeClientDb = new EntityDatabase({
+			ejs : require('elastic.js'),
+			index : 'entity_database_test',
+			type : 'entity_database_test',
+			entityConstructor : Entity
+		});
+		when(nodeClientDb.entityExists(uuid()), function() {
+			done(new Error('expected error'));
+		}, function(err) {
+			console.log(err);
+			expect(err).to.be.instanceof(errors.ValidationError);
+			done();
+		}).then(null, done);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var errors = require('../lib/errors');
+
+describe('errors', function() {
+
+	it('each error type has a stable code and extends EntityDatabaseError', function() {
+		var codes = {
+			ValidationError : 'VALIDATION_ERROR',
+			NotFoundError : 'NOT_FOUND',
+			VersionConflictError : 'VERSION_CONFLICT',
+			TimeoutError : 'TIMEOUT',
+			TransportError : 'TRANSPORT_ERROR',
+			AbortedError : 'ABORTED',
+			CircuitOpenError : 'CIRCUIT_OPEN',
+			ClientClosedError : 'CLIENT_CLOSED'
+		};
+
+		Object.keys(codes).forEach(function(name) {
+			var err = new errors[name]('message');
+			expect(err).to.be.instanceof(errors[name]);
+			expect(err).to.be.instanceof(errors.EntityDatabaseError);
+			expect(err).to.be.instanceof(Error);
+			expect(err.name).to.equal(name);
+			expect(err.constructor.name).to.equal(name);
+			expect(err.code).to.equal(codes[name]);
+			expect(errors[name].code).to.equal(codes[name]);
+			expect(err.message).to.equal('message');
+			expect(err.stack).to.contain(name);
+		});
+	});
+
+	it('cancellation, circuit breaker, and closed client errors are TransportErrors', function() {
+		[ 'AbortedError', 'CircuitOpenError', 'ClientClosedError' ].forEach(function(name) {
+			expect(new errors[name]('message')).to.be.instanceof(errors.TransportError);
+		});
+	});
+
+	it('sets the details that apply', function() {
+		var cause = new Error('cause');
+		var response = {
+			error : 'VersionConflictEngineException[...]',
+			status : 409
+		};
+		var err = new errors.VersionConflictError('conflict', {
+			index : 'index_name',
+			type : 'type_name',
+			id : 'id',
+			status : 409,
+			response : response,
+			cause : cause,
+			other : 'ignored'
+		});
+		expect(err.index).to.equal('index_name');
+		expect(err.type).to.equal('type_name');
+		expect(err.id).to.equal('id');
+		expect(err.status).to.equal(409);
+		expect(err.response).to.equal(response);
+		expect(err.cause).to.equal(cause);
+		expect(err.other).to.be.an('undefined');
+
+		err = new errors.ValidationError('invalid', {
+			index : 'index_name',
+			type : 'type_name'
+		});
+		expect(Object.keys(err)).to.not.include('id');
+		expect(Object.keys(err)).to.not.include('response');
+	});
+});
@@ -0,0 +1,203 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+var http = require('http');
+
+var NodeConnection = require('../lib/node-connection');
+
+describe('NodeConnection', function() {
+	var server;
+	var serverPort;
+	var lastRequest;
+
+	before(function(done) {
+		server = http.createServer(function(req, res) {
+			var body = '';
+			req.setEncoding('utf8');
+			req.on('data', function(chunk) {
+				body += chunk;
+			});
+			req.on('end', function() {
+				lastRequest = {
+					method : req.method,
+					url : req.url,
+					headers : req.headers,
+					body : body
+				};
+				res.setHeader('Content-Type', 'application/json');
+				if (req.url === '/slow') {
+					setTimeout(function() {
+						res.end(JSON.stringify({
+							ok : true
+						}));
+					}, 50);
+					return;
+				}
+				if (req.url === '/invalid') {
+					res.statusCode = 502;
+					res.end('<html>Bad Gateway</html>');
+					return;
+				}
+				res.end(JSON.stringify({
+					ok : true
+				}));
+			});
+		});
+		server.listen(0, 'localhost', function() {
+			serverPort = server.address().port;
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('sends basic auth and custom headers with every request', function(done) {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : serverPort,
+			auth : {
+				username : 'elastic',
+				password : 'secret'
+			},
+			headers : {
+				'X-Request-Source' : 'entity-database'
+			}
+		});
+
+		connection.post('/index/type/_search', '{"size":1}', function(result, status) {
+			expect(result.ok).to.equal(true);
+			expect(status).to.equal(200);
+			expect(lastRequest.method).to.equal('POST');
+			expect(lastRequest.body).to.equal('{"size":1}');
+			expect(lastRequest.headers.authorization).to.equal('Basic ' + new Buffer('elastic:secret').toString('base64'));
+			expect(lastRequest.headers['x-request-source']).to.equal('entity-database');
+			expect(lastRequest.headers['content-type']).to.equal('application/json');
+			done();
+		}, done);
+	});
+
+	it('sends GET params as the query string', function(done) {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : serverPort
+		});
+
+		connection.get('/index/type/id', {
+			refresh : true
+		}, function() {
+			expect(lastRequest.method).to.equal('GET');
+			expect(lastRequest.url).to.equal('/index/type/id?refresh=true');
+			done();
+		}, done);
+	});
+
+	it('returns an INVALID_RESPONSE error when the response is not JSON', function(done) {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : serverPort
+		});
+
+		connection.get('/invalid', {}, function(result) {
+			done(new Error('expected request to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err.code).to.equal('INVALID_RESPONSE');
+			expect(err.status).to.equal(502);
+			done();
+		});
+	});
+
+	it('can be configured to use https', function() {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : 9243,
+			protocol : 'https',
+			ca : 'ca',
+			rejectUnauthorized : false
+		});
+
+		expect(connection.transport).to.equal(require('https'));
+		expect(connection.requestOptions.ca).to.equal('ca');
+		expect(connection.requestOptions.rejectUnauthorized).to.equal(false);
+	});
+
+	it('keeps sockets alive and destroys them after the idleTimeout', function(done) {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : serverPort,
+			agent : {
+				maxSockets : 2,
+				idleTimeout : 20
+			}
+		});
+
+		expect(connection.agent.maxSockets).to.equal(2);
+		expect(connection.agent.keepAlive).to.equal(true);
+
+		connection.get('/', {}, function() {
+			setImmediate(function() {
+				expect(Object.keys(connection.agent.freeSockets).length).to.equal(1);
+				setTimeout(function() {
+					expect(Object.keys(connection.agent.freeSockets).length).to.equal(0);
+					done();
+				}, 50);
+			});
+		}, done);
+	});
+
+	it('close() waits for pending requests and then rejects new requests', function(done) {
+		var connection = new NodeConnection({
+			host : 'localhost',
+			port : serverPort
+		});
+
+		var slowRequestCompleted = false;
+		connection.get('/slow', {}, function(result) {
+			expect(result.ok).to.equal(true);
+			slowRequestCompleted = true;
+		}, done);
+
+		connection.close().then(function() {
+			expect(slowRequestCompleted).to.equal(true);
+			expect(connection.pendingRequests).to.equal(0);
+			done();
+		}, done);
+
+		connection.get('/', {}, function(result) {
+			done(new Error('expected request to fail : ' + JSON.stringify(result)));
+		}, function(err) {
+			console.log(err);
+			expect(err.code).to.equal('CLIENT_CLOSED');
+		});
+	});
+
+	it('throws an Error when constructed with invalid settings', function(done) {
+		try {
+			console.log(new NodeConnection({
+				host : 'localhost',
+				port : 9200,
+				protocol : 'ftp'
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+});
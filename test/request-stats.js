@@ -0,0 +1,80 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var RequestStats = require('../lib/request-stats');
+
+describe('RequestStats', function() {
+
+	it('aggregates count, errors and latency percentiles per operation', function() {
+		var requestStats = new RequestStats();
+		var i;
+		for (i = 1; i <= 100; i++) {
+			requestStats.record({
+				operation : 'getEntity',
+				duration : i,
+				error : i % 10 === 0 ? new Error('failed') : undefined
+			});
+		}
+		requestStats.record({
+			operation : 'createEntity',
+			duration : 5
+		});
+
+		var stats = requestStats.stats();
+		console.log(JSON.stringify(stats, undefined, 2));
+		expect(stats.getEntity.count).to.equal(100);
+		expect(stats.getEntity.errors).to.equal(10);
+		expect(stats.getEntity.latency.min).to.equal(1);
+		expect(stats.getEntity.latency.max).to.equal(100);
+		expect(stats.getEntity.latency.mean).to.equal(50.5);
+		expect(stats.getEntity.latency.p50).to.equal(50);
+		expect(stats.getEntity.latency.p90).to.equal(90);
+		expect(stats.getEntity.latency.p99).to.equal(99);
+		expect(stats.createEntity.count).to.equal(1);
+		expect(stats.createEntity.latency.p99).to.equal(5);
+	});
+
+	it('computes latency percentiles from the most recent samples', function() {
+		var requestStats = new RequestStats({
+			sampleSize : 10
+		});
+		var i;
+		for (i = 1; i <= 20; i++) {
+			requestStats.record({
+				operation : 'findAll',
+				duration : i
+			});
+		}
+
+		var stats = requestStats.stats();
+		expect(stats.findAll.count).to.equal(20);
+		expect(stats.findAll.latency.min).to.equal(11);
+		expect(stats.findAll.latency.max).to.equal(20);
+	});
+
+	it('can be reset', function() {
+		var requestStats = new RequestStats();
+		requestStats.record({
+			operation : 'findAll',
+			duration : 1
+		});
+		requestStats.reset();
+		expect(requestStats.stats()).to.eql({});
+	});
+});
@@ -0,0 +1,147 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+
+var RetryPolicy = require('../lib/retry-policy');
+
+describe('RetryPolicy', function() {
+	var socketError = function(code) {
+		var err = new Error(code);
+		err.code = code;
+		return err;
+	};
+
+	it('classifies requests as idempotent', function() {
+		expect(RetryPolicy.isIdempotent('get', '/index/type/id')).to.equal(true);
+		expect(RetryPolicy.isIdempotent('del', '/index/type/id')).to.equal(true);
+		expect(RetryPolicy.isIdempotent('put', '/index/type/id?refresh=false')).to.equal(true);
+		expect(RetryPolicy.isIdempotent('post', '/index/type/_search')).to.equal(true);
+		expect(RetryPolicy.isIdempotent('post', '/index/type/_mget')).to.equal(true);
+
+		expect(RetryPolicy.isIdempotent('put', '/index/type/id?op_type=create&refresh=false')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('post', '/index/type/_bulk')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('post', '/index/type/id/_update')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('post', '/index/type')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('post', '/_search/scroll?scroll=5m')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('put', '/index/type/id?version=2&refresh=false')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('del', '/index/type/id?refresh=false&version=3')).to.equal(false);
+		expect(RetryPolicy.isIdempotent('post', '/index/type/id/_update?version=2')).to.equal(false);
+	});
+
+	it('only retries writes that are conditional on the document version when the request was never processed', function() {
+		var retryPolicy = new RetryPolicy();
+		var versionedPath = '/index/type/id?version=2&refresh=false';
+		expect(retryPolicy.shouldRetry(1, 'put', versionedPath, socketError('ECONNREFUSED'))).to.equal(true);
+		expect(retryPolicy.shouldRetry(1, 'put', versionedPath, socketError('ECONNRESET'))).to.equal(false);
+		expect(retryPolicy.shouldRetry(1, 'del', versionedPath, socketError('ECONNRESET'))).to.equal(false);
+		expect(retryPolicy.shouldRetry(1, 'put', '/index/type/id?refresh=false', socketError('ECONNRESET'))).to.equal(true);
+	});
+
+	it('classifies socket errors that guarantee the request never reached the server', function() {
+		expect(RetryPolicy.isConnectError(socketError('ECONNREFUSED'))).to.equal(true);
+		expect(RetryPolicy.isConnectError(socketError('EHOSTUNREACH'))).to.equal(true);
+
+		expect(RetryPolicy.isConnectError(socketError('ECONNRESET'))).to.equal(false);
+		expect(RetryPolicy.isConnectError(socketError('ETIMEDOUT'))).to.equal(false);
+		expect(RetryPolicy.isConnectError(undefined)).to.equal(false);
+	});
+
+	it('retries idempotent requests on retryable errors', function() {
+		var retryPolicy = new RetryPolicy();
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', socketError('ECONNRESET'))).to.equal(true);
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', null, {
+			error : 'NoShardAvailableActionException[...]',
+			status : 503
+		})).to.equal(true);
+		expect(retryPolicy.shouldRetry(1, 'post', '/index/type/_search', null, {
+			error : 'RemoteTransportException[...]; nested: EsRejectedExecutionException[rejected execution]',
+			status : 500
+		})).to.equal(true);
+
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', null, {
+			exists : false
+		})).to.equal(false);
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', null, {
+			error : 'IndexMissingException[[index] missing]',
+			status : 404
+		})).to.equal(false);
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', socketError('EACCES'))).to.equal(false);
+	});
+
+	it('only retries non-idempotent requests when the request was never processed', function() {
+		var retryPolicy = new RetryPolicy();
+		var createPath = '/index/type/id?op_type=create';
+		expect(retryPolicy.shouldRetry(1, 'put', createPath, socketError('ECONNREFUSED'))).to.equal(true);
+		expect(retryPolicy.shouldRetry(1, 'put', createPath, null, {
+			error : 'EsRejectedExecutionException[rejected execution]',
+			status : 429
+		})).to.equal(true);
+
+		expect(retryPolicy.shouldRetry(1, 'put', createPath, socketError('ECONNRESET'))).to.equal(false);
+		expect(retryPolicy.shouldRetry(1, 'put', createPath, null, {
+			error : 'UnavailableShardsException[...]',
+			status : 503
+		})).to.equal(false);
+
+		retryPolicy = new RetryPolicy({
+			retryNonIdempotent : true
+		});
+		expect(retryPolicy.shouldRetry(1, 'put', createPath, socketError('ECONNRESET'))).to.equal(true);
+	});
+
+	it('stops retrying after maxAttempts', function() {
+		var retryPolicy = new RetryPolicy({
+			maxAttempts : 2
+		});
+		expect(retryPolicy.shouldRetry(1, 'get', '/index/type/id', socketError('ECONNRESET'))).to.equal(true);
+		expect(retryPolicy.shouldRetry(2, 'get', '/index/type/id', socketError('ECONNRESET'))).to.equal(false);
+	});
+
+	it('uses exponential backoff with jitter', function() {
+		var retryPolicy = new RetryPolicy({
+			baseDelay : 100,
+			maxDelay : 1000,
+			jitter : 0
+		});
+		expect(retryPolicy.delay(1)).to.equal(100);
+		expect(retryPolicy.delay(2)).to.equal(200);
+		expect(retryPolicy.delay(3)).to.equal(400);
+		expect(retryPolicy.delay(10)).to.equal(1000);
+
+		retryPolicy = new RetryPolicy({
+			baseDelay : 100,
+			jitter : 0.5
+		});
+		var i, delay;
+		for (i = 0; i < 20; i++) {
+			delay = retryPolicy.delay(1);
+			expect(delay).to.be.within(50, 100);
+		}
+	});
+
+	it('throws an Error when constructed with invalid settings', function(done) {
+		try {
+			console.log(new RetryPolicy({
+				jitter : 2
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+});
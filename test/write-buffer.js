@@ -0,0 +1,141 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var expect = require('chai').expect;
+var when = require('when');
+
+var WriteBuffer = require('../lib/write-buffer');
+
+describe('WriteBuffer', function() {
+	var batches;
+	var send = function(items) {
+		batches.push(items);
+		return when.resolve(items.map(function(item) {
+			return item === 'invalid' ? new Error('invalid item') : item.toUpperCase();
+		}));
+	};
+
+	beforeEach(function() {
+		batches = [];
+	});
+
+	it('sends the batch when maxSize items are queued', function(done) {
+		var writeBuffer = new WriteBuffer({
+			maxSize : 2,
+			interval : 60000,
+			send : send
+		});
+
+		when(when.all([ writeBuffer.add('a'), writeBuffer.add('b') ]), function(results) {
+			expect(results).to.eql([ 'A', 'B' ]);
+			expect(batches).to.eql([ [ 'a', 'b' ] ]);
+			done();
+		}, done);
+	});
+
+	it('sends the batch when the interval elapses', function(done) {
+		var writeBuffer = new WriteBuffer({
+			maxSize : 100,
+			interval : 10,
+			send : send
+		});
+
+		when(writeBuffer.add('a'), function(result) {
+			expect(result).to.equal('A');
+			expect(batches).to.eql([ [ 'a' ] ]);
+			expect(writeBuffer.size()).to.equal(0);
+			done();
+		}, done);
+	});
+
+	it('rejects the promises of the items that failed', function(done) {
+		var writeBuffer = new WriteBuffer({
+			send : send
+		});
+
+		var valid = writeBuffer.add('a');
+		var invalid = writeBuffer.add('invalid');
+		when(writeBuffer.flush(), function() {
+			when(valid, function(result) {
+				expect(result).to.equal('A');
+				when(invalid, function() {
+					done(new Error('expected item to fail'));
+				}, function(err) {
+					expect(err.message).to.equal('invalid item');
+					done();
+				});
+			}, done);
+		}, done);
+	});
+
+	it('rejects all items in the batch if the batch cannot be sent', function(done) {
+		var writeBuffer = new WriteBuffer({
+			send : function() {
+				return when.reject(new Error('ECONNREFUSED'));
+			}
+		});
+
+		var item = writeBuffer.add('a');
+		writeBuffer.flush();
+		when(item, function() {
+			done(new Error('expected item to fail'));
+		}, function(err) {
+			expect(err.message).to.equal('ECONNREFUSED');
+			done();
+		});
+	});
+
+	it('sends batches one at a time, in order', function(done) {
+		var pending = [];
+		var writeBuffer = new WriteBuffer({
+			maxSize : 1,
+			send : function(items) {
+				batches.push(items);
+				return when.promise(function(resolve) {
+					pending.push(resolve.bind(null, items));
+				});
+			}
+		});
+
+		writeBuffer.add('a');
+		writeBuffer.add('b');
+		var flushed = writeBuffer.flush();
+		setTimeout(function() {
+			expect(batches).to.eql([ [ 'a' ] ]);
+			pending.shift()();
+			setTimeout(function() {
+				expect(batches).to.eql([ [ 'a' ], [ 'b' ] ]);
+				pending.shift()();
+				when(flushed, function() {
+					done();
+				}, done);
+			}, 10);
+		}, 10);
+	});
+
+	it('throws an Error when constructed with invalid settings', function(done) {
+		try {
+			console.log(new WriteBuffer({
+				maxSize : 0,
+				send : send
+			}));
+			done(new Error('Expected validation error'));
+		} catch (err) {
+			done();
+		}
+	});
+});